@@ -0,0 +1,94 @@
+// --- Asset Library ---
+// Uploaded images kept in IndexedDB so they survive reloads and can be reused by any panel.
+// Layouts refer to them as `asset:<id>` (see toAssetRef / parseAssetRef).
+
+const DEFAULT_DB_NAME = 'panlz-assets';
+const DB_VERSION = 1;
+const STORE = 'assets'; // { id, name, type, size, createdAt, blob }
+
+export function toAssetRef(id) {
+    return `asset:${id}`;
+}
+
+// Asset id for an `asset:<id>` reference, null for plain URLs
+export function parseAssetRef(source) {
+    return typeof source === 'string' && source.startsWith('asset:') ? source.slice('asset:'.length) : null;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class AssetLibrary {
+    constructor(options = {}) {
+        this.dbName = options.dbName || DEFAULT_DB_NAME;
+        this.dbPromise = null; // Opened on first use
+        this.objectUrls = new Map(); // id -> blob: URL, revoked when the asset is removed
+    }
+
+    _open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+            this.dbPromise = promisify(request);
+            this.dbPromise.catch(() => { this.dbPromise = null; }); // Let a later call retry
+        }
+        return this.dbPromise;
+    }
+
+    async _store(mode) {
+        const db = await this._open();
+        return db.transaction(STORE, mode).objectStore(STORE);
+    }
+
+    // Stores an uploaded File/Blob; returns its metadata
+    async add(blob, name = blob.name || 'image') {
+        if (!blob.type.startsWith('image/')) throw new Error(`"${name}" is not an image`);
+        return this.put({ id: crypto.randomUUID(), name, blob });
+    }
+
+    // Insert with a known id (e.g. assets embedded in an imported layout file)
+    async put({ id, name, blob, createdAt = Date.now() }) {
+        const record = { id, name, type: blob.type, size: blob.size, createdAt, blob };
+        await promisify((await this._store('readwrite')).put(record));
+        const { blob: _blob, ...metadata } = record;
+        return metadata;
+    }
+
+    // Metadata of every asset, newest first
+    async list() {
+        const records = await promisify((await this._store('readonly')).getAll());
+        return records
+            .map(({ blob, ...metadata }) => metadata)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async has(id) {
+        return (await promisify((await this._store('readonly')).count(id))) > 0;
+    }
+
+    async getBlob(id) {
+        const record = await promisify((await this._store('readonly')).get(id));
+        return record ? record.blob : null;
+    }
+
+    async getObjectUrl(id) {
+        if (this.objectUrls.has(id)) return this.objectUrls.get(id);
+        const blob = await this.getBlob(id);
+        if (!blob) throw new Error(`Asset ${id} is not in the library`);
+        const url = URL.createObjectURL(blob);
+        this.objectUrls.set(id, url);
+        return url;
+    }
+
+    async remove(id) {
+        await promisify((await this._store('readwrite')).delete(id));
+        if (this.objectUrls.has(id)) {
+            URL.revokeObjectURL(this.objectUrls.get(id));
+            this.objectUrls.delete(id);
+        }
+    }
+}
@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+
+// --- Camera Controller ---
+// Keeps the camera looking straight at the z=0 grid plane and moves it around:
+//   wheel / trackpad scroll   pan (shift+wheel scrolls horizontally)
+//   ctrl/cmd+wheel, pinch     zoom towards the cursor
+//   middle-drag               pan
+// plus animated frameBox(), which PanelManager uses for "fit all" and "focus on panel".
+// onChange listeners hear about every new goal, so an on-demand render loop can wake up.
+
+const MIN_DISTANCE = 2;
+const MAX_DISTANCE = 200;
+const ZOOM_SPEED = 0.0015; // Per wheel pixel
+const SMOOTHING = 12; // Higher = snappier animation towards the goal
+const FRAME_MARGIN = 1.1; // Leave 10% air around framed content
+const LINE_HEIGHT_PX = 16; // For wheel events reported in lines
+
+export class CameraController {
+    constructor(camera, domElement) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.goal = camera.position.clone(); // Where the camera is animating to
+        this.isPanning = false;
+        this.lastPanPointer = new THREE.Vector2();
+        this.changeListeners = new Set(); // () => void
+
+        this.domElement.addEventListener('wheel', this._onWheel.bind(this), { passive: false });
+        this.domElement.addEventListener('pointerdown', this._onPointerDown.bind(this), false);
+        this.domElement.addEventListener('pointermove', this._onPointerMove.bind(this), false);
+        this.domElement.addEventListener('pointerup', this._onPointerUp.bind(this), false);
+        // Stop the browser's middle-click autoscroll
+        this.domElement.addEventListener('mousedown', (event) => { if (event.button === 1) event.preventDefault(); }, false);
+    }
+
+    onChange(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+
+    _notifyChange() {
+        this.changeListeners.forEach(listener => listener());
+    }
+
+    update(deltaTime) {
+        const position = this.camera.position;
+        if (position.distanceToSquared(this.goal) < 1e-8) return false;
+        position.lerp(this.goal, 1 - Math.exp(-SMOOTHING * deltaTime));
+        this.camera.updateMatrixWorld();
+        return true;
+    }
+
+    // Visible half-extents of the z=0 plane at the given camera distance
+    _getHalfExtents(distance) {
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2) * distance;
+        return { halfWidth: halfHeight * this.camera.aspect, halfHeight };
+    }
+
+    _getWorldPerPixel(distance) {
+        return (2 * this._getHalfExtents(distance).halfHeight) / this.domElement.clientHeight;
+    }
+
+    _getPointerNdc(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        return {
+            x: ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            y: -((event.clientY - rect.top) / rect.height) * 2 + 1
+        };
+    }
+
+    _onWheel(event) {
+        if (event.defaultPrevented) return; // An interactive panel screen consumed it
+        event.preventDefault();
+        const scale = event.deltaMode === 1 ? LINE_HEIGHT_PX : 1;
+        const deltaX = event.deltaX * scale;
+        const deltaY = event.deltaY * scale;
+
+        if (event.ctrlKey || event.metaKey) { // Trackpad pinch arrives as ctrl+wheel
+            this.zoomAt(this._getPointerNdc(event), Math.exp(deltaY * ZOOM_SPEED));
+            return;
+        }
+        const worldPerPixel = this._getWorldPerPixel(this.goal.z);
+        if (event.shiftKey && deltaX === 0) {
+            this.goal.x += deltaY * worldPerPixel;
+        } else {
+            this.goal.x += deltaX * worldPerPixel;
+            this.goal.y -= deltaY * worldPerPixel; // Scrolling down moves the view down the grid
+        }
+        this._notifyChange();
+    }
+
+    // factor > 1 zooms out. The grid point under ndc stays under the cursor.
+    zoomAt(ndc, factor) {
+        const before = this._getHalfExtents(this.goal.z);
+        const worldX = this.goal.x + ndc.x * before.halfWidth;
+        const worldY = this.goal.y + ndc.y * before.halfHeight;
+
+        this.goal.z = THREE.MathUtils.clamp(this.goal.z * factor, MIN_DISTANCE, MAX_DISTANCE);
+        const after = this._getHalfExtents(this.goal.z);
+        this.goal.x = worldX - ndc.x * after.halfWidth;
+        this.goal.y = worldY - ndc.y * after.halfHeight;
+        this._notifyChange();
+    }
+
+    _onPointerDown(event) {
+        if (event.button !== 1) return;
+        event.preventDefault();
+        this.isPanning = true;
+        this.lastPanPointer.set(event.clientX, event.clientY);
+        this.domElement.setPointerCapture(event.pointerId);
+        this.domElement.style.cursor = 'move';
+    }
+
+    _onPointerMove(event) {
+        if (!this.isPanning) return;
+        const worldPerPixel = this._getWorldPerPixel(this.camera.position.z);
+        const dx = event.clientX - this.lastPanPointer.x;
+        const dy = event.clientY - this.lastPanPointer.y;
+        this.lastPanPointer.set(event.clientX, event.clientY);
+        // Dragging follows the hand directly, no smoothing
+        this.goal.x -= dx * worldPerPixel;
+        this.goal.y += dy * worldPerPixel;
+        this.camera.position.x = this.goal.x;
+        this.camera.position.y = this.goal.y;
+        this.camera.updateMatrixWorld();
+        this._notifyChange();
+    }
+
+    _onPointerUp(event) {
+        if (!this.isPanning || event.button !== 1) return;
+        this.isPanning = false;
+        this.domElement.releasePointerCapture(event.pointerId);
+        this.domElement.style.cursor = 'default';
+    }
+
+    // Animate so the given world-space box (on the z=0 plane) fills the view
+    frameBox(box) {
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        const distanceForHeight = (size.y / 2) / tanHalfFov;
+        const distanceForWidth = (size.x / 2) / (tanHalfFov * this.camera.aspect);
+        const distance = Math.max(distanceForHeight, distanceForWidth) * FRAME_MARGIN;
+        this.goal.set(center.x, center.y, THREE.MathUtils.clamp(distance, MIN_DISTANCE, MAX_DISTANCE));
+        this._notifyChange();
+    }
+}
@@ -0,0 +1,348 @@
+// --- Code Editor ---
+// Lightweight editor for panel scripts on top of a plain <textarea>: the textarea keeps native
+// editing, undo and IME input while its text is transparent over a highlighted copy of the code.
+// Adds line numbers, an error line marker, Tab indentation, Ctrl/Cmd+Enter to run and
+// autocomplete for the panel script API (Ctrl+Space, or typing an identifier or `panel.`).
+//   const editor = new CodeEditor(document.getElementById('js-code-input'));
+//   editor.onChange(code => ...); editor.onSubmit(code => ...);
+
+const INDENT = '    ';
+const MAX_COMPLETIONS = 8;
+
+const KEYWORDS = new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+    'else', 'false', 'finally', 'for', 'function', 'if', 'in', 'instanceof', 'let', 'new', 'null', 'of',
+    'return', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while'
+]);
+
+// Names a panel script gets from panelWorker.js; label -> detail shown next to the completion
+const HOOKS = {
+    init: 'init(ctx, canvas) - once after loading',
+    draw: 'draw(ctx, canvas, time, dt) - every tick, return false if unchanged',
+    resize: 'resize(width, height)',
+    dispose: 'dispose() - before the script is replaced',
+    onPointerDown: 'onPointerDown(e) - e.x/e.y in CSS pixels, like canvas.width/height',
+    onPointerMove: 'onPointerMove(e)',
+    onPointerUp: 'onPointerUp(e)',
+    onPointerLeave: 'onPointerLeave(e)',
+    onWheel: 'onWheel(e)',
+    onKey: 'onKey(e) - keydown and keyup',
+    onFocus: 'onFocus()',
+    onBlur: 'onBlur()'
+};
+
+export const PANEL_SCRIPT_COMPLETIONS = {
+    '': {
+        ctx: '2D context, pre-scaled to CSS pixels',
+        canvas: 'canvas size in CSS pixels',
+        panel: 'panel API',
+        console: 'output goes to the editor console',
+        ...HOOKS
+    },
+    panel: {
+        id: 'panel id', title: 'panel title', theme: 'resolved theme tokens',
+        width: 'canvas width (CSS px)', height: 'canvas height (CSS px)', pixelRatio: 'backing store pixels per CSS pixel',
+        log: 'log(...args) - same as console.log',
+        publish: 'publish(topic, data)',
+        subscribe: "subscribe('topic.*', (data, topic, sourceId) => {}) - returns unsubscribe",
+        getState: 'getState(key)',
+        setState: 'setState(key, value, { persist })',
+        watchState: 'watchState(pattern, (value, key) => {})',
+        useData: 'useData(name, (data, info) => {})',
+        loadImage: 'loadImage(url, (bitmap, error) => {})',
+        addHeaderAction: "addHeaderAction({ icon: '★', tooltip }, () => {})"
+    },
+    canvas: {
+        width: 'CSS pixels', height: 'CSS pixels', pixelRatio: 'backing store pixels per CSS pixel',
+        getContext: 'getContext() - the same ctx', convertToBlob: 'convertToBlob(options)'
+    },
+    console: {
+        log: 'log(...args)', info: 'info(...args)', warn: 'warn(...args)', error: 'error(...args)', debug: 'debug(...args)'
+    },
+    ctx: Object.fromEntries([
+        'arc(x, y, r, start, end)', 'arcTo(x1, y1, x2, y2, r)', 'beginPath()', 'bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y)',
+        'clearRect(x, y, w, h)', 'clip()', 'closePath()', 'createLinearGradient(x0, y0, x1, y1)',
+        'createRadialGradient(x0, y0, r0, x1, y1, r1)', 'drawImage(image, x, y, w, h)', 'ellipse(x, y, rx, ry, rotation, start, end)',
+        'fill()', 'fillRect(x, y, w, h)', 'fillText(text, x, y, maxWidth)', 'lineTo(x, y)', 'measureText(text)', 'moveTo(x, y)',
+        'quadraticCurveTo(cpx, cpy, x, y)', 'rect(x, y, w, h)', 'resetTransform()', 'restore()', 'rotate(angle)',
+        'roundRect(x, y, w, h, radii)', 'save()', 'scale(x, y)', 'setLineDash(segments)', 'setTransform(a, b, c, d, e, f)',
+        'stroke()', 'strokeRect(x, y, w, h)', 'strokeText(text, x, y, maxWidth)', 'translate(x, y)',
+        'fillStyle', 'font', 'globalAlpha', 'globalCompositeOperation', 'lineCap', 'lineJoin', 'lineWidth',
+        'shadowBlur', 'shadowColor', 'strokeStyle', 'textAlign', 'textBaseline'
+    ].map(signature => [signature.split('(')[0], signature]))
+};
+
+// Comments, strings (template literals without nesting), numbers, identifiers
+const TOKEN_PATTERN = /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:[^'\\\n]|\\.)*'?|"(?:[^"\\\n]|\\.)*"?|`(?:[^`\\]|\\[\s\S])*`?)|(\b0[xX][\da-fA-F]+\b|\b\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?\b)|([A-Za-z_$][\w$]*)/g;
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function highlight(code) {
+    const globals = PANEL_SCRIPT_COMPLETIONS[''];
+    let html = '';
+    let last = 0;
+    for (const match of code.matchAll(TOKEN_PATTERN)) {
+        const [token, comment, string, number, identifier] = match;
+        let className = null;
+        if (comment) className = 'tok-comment';
+        else if (string) className = 'tok-string';
+        else if (number) className = 'tok-number';
+        else if (KEYWORDS.has(identifier)) className = 'tok-keyword';
+        else if (Object.hasOwn(globals, identifier)) className = 'tok-api';
+        html += escapeHtml(code.slice(last, match.index));
+        html += className ? `<span class="${className}">${escapeHtml(token)}</span>` : escapeHtml(token);
+        last = match.index + token.length;
+    }
+    // A trailing newline needs content after it, or the highlight ends a line short of the textarea
+    return html + escapeHtml(code.slice(last)) + ' ';
+}
+
+export class CodeEditor {
+    constructor(textarea, { completions = PANEL_SCRIPT_COMPLETIONS } = {}) {
+        this.textarea = textarea;
+        this.completions = completions;
+        this.changeListeners = new Set(); // (code) => void, on user edits
+        this.submitListeners = new Set(); // (code) => void, on Ctrl/Cmd+Enter
+        this.errorLine = null;
+        this.completionState = null; // { start, items, index } while the list is open
+        this.lineCount = 0;
+
+        this.element = document.createElement('div');
+        this.element.className = 'code-editor';
+        this.gutter = document.createElement('div');
+        this.gutter.className = 'code-editor-gutter';
+        const body = document.createElement('div');
+        body.className = 'code-editor-body';
+        this.highlightElement = document.createElement('pre');
+        this.highlightElement.className = 'code-editor-highlight';
+        this.highlightElement.setAttribute('aria-hidden', 'true');
+        this.errorLineElement = document.createElement('div');
+        this.errorLineElement.className = 'code-editor-error-line';
+        this.completionList = document.createElement('ul');
+        this.completionList.className = 'code-editor-completions';
+        this.completionList.setAttribute('role', 'listbox');
+
+        textarea.replaceWith(this.element);
+        textarea.classList.add('code-editor-input');
+        textarea.spellcheck = false;
+        textarea.wrap = 'off'; // Keeps textarea lines aligned with the highlight and gutter
+        body.append(this.errorLineElement, this.highlightElement, textarea);
+        this.element.append(this.gutter, body, this.completionList);
+
+        textarea.addEventListener('input', () => {
+            this._render();
+            this._updateCompletions(false);
+            this.changeListeners.forEach(listener => listener(this.value));
+        });
+        textarea.addEventListener('scroll', () => this._syncScroll());
+        textarea.addEventListener('keydown', (event) => this._onKeyDown(event));
+        textarea.addEventListener('blur', () => this._closeCompletions());
+        textarea.addEventListener('click', () => this._closeCompletions());
+        // pointerdown, so the textarea keeps focus and the selection
+        this.completionList.addEventListener('pointerdown', (event) => {
+            const item = event.target.closest('li');
+            if (!item) return;
+            event.preventDefault();
+            this.completionState.index = Number(item.dataset.index);
+            this._acceptCompletion();
+        });
+        this._render();
+    }
+
+    get value() {
+        return this.textarea.value;
+    }
+
+    set value(code) {
+        this.textarea.value = code;
+        this.errorLine = null;
+        this._closeCompletions();
+        this._render();
+        this.textarea.scrollTop = 0;
+        this.textarea.scrollLeft = 0;
+        this._syncScroll();
+    }
+
+    onChange(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+
+    onSubmit(listener) {
+        this.submitListeners.add(listener);
+        return () => this.submitListeners.delete(listener);
+    }
+
+    focus() {
+        this.textarea.focus();
+    }
+
+    // 1-based line to mark as failing, null to clear
+    setErrorLine(line) {
+        this.errorLine = line;
+        this._renderErrorLine();
+    }
+
+    // Puts the caret at the start of a 1-based line and scrolls it into view
+    revealLine(line) {
+        const lines = this.value.split('\n');
+        const index = Math.max(0, Math.min(line, lines.length) - 1);
+        const offset = lines.slice(0, index).reduce((sum, text) => sum + text.length + 1, 0);
+        this.textarea.focus();
+        this.textarea.setSelectionRange(offset, offset);
+        const { lineHeight } = this._getMetrics();
+        this.textarea.scrollTop = Math.max(0, index * lineHeight - this.textarea.clientHeight / 2);
+    }
+
+    _getMetrics() {
+        const style = getComputedStyle(this.textarea);
+        if (!this.charWidth) {
+            const probe = document.createElement('span');
+            probe.textContent = 'M'.repeat(10);
+            probe.style.font = style.font;
+            probe.style.visibility = 'hidden';
+            document.body.appendChild(probe);
+            this.charWidth = probe.getBoundingClientRect().width / 10;
+            probe.remove();
+        }
+        return {
+            lineHeight: parseFloat(style.lineHeight) || 18,
+            paddingTop: parseFloat(style.paddingTop) || 0,
+            paddingLeft: parseFloat(style.paddingLeft) || 0,
+            charWidth: this.charWidth
+        };
+    }
+
+    _render() {
+        this.highlightElement.innerHTML = highlight(this.value);
+        const lineCount = this.value.split('\n').length;
+        if (lineCount !== this.lineCount) {
+            this.lineCount = lineCount;
+            this.gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join('\n');
+        }
+        this._renderErrorLine();
+        this._syncScroll();
+    }
+
+    _renderErrorLine() {
+        const visible = this.errorLine !== null && this.errorLine <= this.lineCount;
+        this.errorLineElement.style.display = visible ? 'block' : 'none';
+        if (!visible) return;
+        const { lineHeight, paddingTop } = this._getMetrics();
+        this.errorLineElement.style.top = `${paddingTop + (this.errorLine - 1) * lineHeight - this.textarea.scrollTop}px`;
+        this.errorLineElement.style.height = `${lineHeight}px`;
+    }
+
+    _syncScroll() {
+        const { scrollTop, scrollLeft } = this.textarea;
+        this.highlightElement.style.transform = `translate(${-scrollLeft}px, ${-scrollTop}px)`;
+        this.gutter.scrollTop = scrollTop;
+        this._renderErrorLine();
+        if (this.completionState) this._positionCompletions();
+    }
+
+    _onKeyDown(event) {
+        const state = this.completionState;
+        if (state) {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                state.index = (state.index + (event.key === 'ArrowDown' ? 1 : -1) + state.items.length) % state.items.length;
+                this._renderCompletions();
+                return;
+            }
+            if (event.key === 'Enter' || event.key === 'Tab') {
+                event.preventDefault();
+                this._acceptCompletion();
+                return;
+            }
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation(); // Closes the list, not the popup around the editor
+                this._closeCompletions();
+                return;
+            }
+        }
+        if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
+            event.preventDefault();
+            this.submitListeners.forEach(listener => listener(this.value));
+        } else if (event.ctrlKey && event.key === ' ') {
+            event.preventDefault();
+            this._updateCompletions(true);
+        } else if (event.key === 'Tab' && !event.shiftKey) {
+            event.preventDefault();
+            document.execCommand('insertText', false, INDENT); // Unlike setRangeText, stays on the undo stack
+        }
+    }
+
+    // Offers completions for the word before the caret; after `object.` any member matches,
+    // otherwise a word needs a first letter unless forced (Ctrl+Space)
+    _updateCompletions(force) {
+        const caret = this.textarea.selectionStart;
+        if (caret !== this.textarea.selectionEnd) {
+            this._closeCompletions();
+            return;
+        }
+        const match = this.value.slice(0, caret).match(/(?:([A-Za-z_$][\w$]*)\.)?([A-Za-z_$][\w$]*)?$/);
+        const [, object, word = ''] = match;
+        const candidates = this.completions[object ?? ''];
+        if (!candidates || (!object && !word && !force)) {
+            this._closeCompletions();
+            return;
+        }
+        const lowerWord = word.toLowerCase();
+        const items = Object.entries(candidates)
+            .filter(([label]) => label.toLowerCase().startsWith(lowerWord) && label !== word)
+            .slice(0, MAX_COMPLETIONS)
+            .map(([label, detail]) => ({ label, detail }));
+        if (items.length === 0) {
+            this._closeCompletions();
+            return;
+        }
+        this.completionState = { start: caret - word.length, items, index: 0 };
+        this._renderCompletions();
+        this._positionCompletions();
+    }
+
+    _renderCompletions() {
+        const { items, index } = this.completionState;
+        this.completionList.replaceChildren(...items.map((item, i) => {
+            const element = document.createElement('li');
+            element.dataset.index = i;
+            element.className = i === index ? 'active' : '';
+            element.setAttribute('role', 'option');
+            const label = document.createElement('span');
+            label.textContent = item.label;
+            const detail = document.createElement('span');
+            detail.className = 'code-editor-completion-detail';
+            detail.textContent = item.detail;
+            element.append(label, detail);
+            return element;
+        }));
+        this.completionList.style.display = 'block';
+    }
+
+    // Just below the caret
+    _positionCompletions() {
+        const { lineHeight, paddingTop, paddingLeft, charWidth } = this._getMetrics();
+        const before = this.value.slice(0, this.completionState.start);
+        const line = before.split('\n').length - 1;
+        const column = before.length - before.lastIndexOf('\n') - 1;
+        const textareaLeft = this.textarea.offsetLeft + this.textarea.parentElement.offsetLeft;
+        this.completionList.style.left = `${textareaLeft + paddingLeft + column * charWidth - this.textarea.scrollLeft}px`;
+        this.completionList.style.top = `${paddingTop + (line + 1) * lineHeight - this.textarea.scrollTop}px`;
+    }
+
+    _acceptCompletion() {
+        const { start, items, index } = this.completionState;
+        this.textarea.setSelectionRange(start, this.textarea.selectionStart);
+        document.execCommand('insertText', false, items[index].label); // Fires input, which re-renders
+        this._closeCompletions();
+    }
+
+    _closeCompletions() {
+        this.completionState = null;
+        this.completionList.style.display = 'none';
+    }
+}
@@ -0,0 +1,90 @@
+// --- Context Menu ---
+// One floating menu for the whole page (PanelManager opens it on right-click). Items:
+//   { label, action, shortcut?, disabled?, danger? }   a command; shortcut is only displayed
+//   { heading }                                         a group title
+//   'separator'
+// Closes on picking an item, Escape, a pointerdown outside, scrolling or the window losing focus.
+
+export class ContextMenu {
+    constructor(parent = document.body) {
+        this.element = document.createElement('div');
+        this.element.className = 'context-menu';
+        this.element.setAttribute('role', 'menu');
+        this.element.style.display = 'none';
+        parent.appendChild(this.element);
+
+        this._onOutsidePointerDown = (event) => {
+            if (!this.element.contains(event.target)) this.close();
+        };
+        this._onKeyDown = (event) => {
+            if (event.key !== 'Escape') return;
+            event.preventDefault();
+            event.stopImmediatePropagation(); // Escape also restores maximized panels; one thing per press
+            this.close();
+        };
+        this._close = () => this.close();
+    }
+
+    get isOpen() {
+        return this.element.style.display !== 'none';
+    }
+
+    // x/y: client coordinates; the menu is kept inside the viewport
+    open(x, y, items) {
+        this.close();
+        this.element.replaceChildren(...items.map(item => this._createItem(item)));
+        this.element.style.display = 'block';
+        const { width, height } = this.element.getBoundingClientRect();
+        this.element.style.left = `${Math.max(0, Math.min(x, window.innerWidth - width))}px`;
+        this.element.style.top = `${Math.max(0, Math.min(y, window.innerHeight - height))}px`;
+
+        // Capture phase, so the canvas handlers can't swallow the event first
+        window.addEventListener('pointerdown', this._onOutsidePointerDown, true);
+        window.addEventListener('keydown', this._onKeyDown, true);
+        window.addEventListener('wheel', this._close, true);
+        window.addEventListener('blur', this._close);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.element.style.display = 'none';
+        this.element.replaceChildren();
+        window.removeEventListener('pointerdown', this._onOutsidePointerDown, true);
+        window.removeEventListener('keydown', this._onKeyDown, true);
+        window.removeEventListener('wheel', this._close, true);
+        window.removeEventListener('blur', this._close);
+    }
+
+    _createItem(item) {
+        if (item === 'separator') {
+            const separator = document.createElement('hr');
+            separator.className = 'context-menu-separator';
+            return separator;
+        }
+        if (item.heading) {
+            const heading = document.createElement('div');
+            heading.className = 'context-menu-heading';
+            heading.textContent = item.heading;
+            return heading;
+        }
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = item.danger ? 'context-menu-item danger' : 'context-menu-item';
+        button.setAttribute('role', 'menuitem');
+        button.disabled = Boolean(item.disabled);
+        const label = document.createElement('span');
+        label.textContent = item.label;
+        button.appendChild(label);
+        if (item.shortcut) {
+            const shortcut = document.createElement('span');
+            shortcut.className = 'context-menu-shortcut';
+            shortcut.textContent = item.shortcut;
+            button.appendChild(shortcut);
+        }
+        button.addEventListener('click', () => {
+            this.close(); // Before the action, which may open a confirm() or another menu
+            item.action();
+        });
+        return button;
+    }
+}
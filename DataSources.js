@@ -0,0 +1,330 @@
+// --- Data Sources ---
+// Named feeds declared once per dashboard and shared by every panel that uses them:
+//   { name, type: 'http' | 'websocket' | 'sse' | 'static', url, refreshMs?, parser?: 'json' | 'csv' | 'text', staleAfterMs? }
+// A source only runs while at least one panel script uses it (panel.useData(name, fn)).
+// New data goes out on the PanelBus as `data.<name>` with { name, data, updatedAt }.
+
+const DEFAULT_REFRESH_MS = 30000; // HTTP polling interval when the definition has none
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+const REQUEST_TIMEOUT_MS = 15000;
+const STALE_CHECK_INTERVAL_MS = 1000;
+
+// Minimal RFC 4180 CSV: quoted fields, escaped quotes, first row is the header
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field); field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            rows.push(row); row = [];
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+
+    const [header = [], ...records] = rows.filter(r => r.length > 1 || r[0] !== '');
+    return records.map(record => Object.fromEntries(header.map((column, i) => [column, record[i] ?? ''])));
+}
+
+const PARSERS = {
+    json: (text) => JSON.parse(text),
+    csv: parseCsv,
+    text: (text) => text
+};
+
+class DataSource {
+    constructor(definition, manager) {
+        this.name = definition.name;
+        this.definition = definition;
+        this.manager = manager;
+        this.parse = PARSERS[definition.parser || 'json'];
+        this.staleAfterMs = definition.staleAfterMs ?? null;
+
+        this.isRunning = false;
+        this.lastPayload = null; // Replayed to panels that start using the source later
+        this.lastError = null;
+        this.retryCount = 0;
+        this.retryTimer = null;
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.manager._updateStaleCheck();
+        this._connect();
+    }
+
+    stop() {
+        this.isRunning = false;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this._disconnect();
+        this.manager._updateStaleCheck();
+    }
+
+    // 'loading' until the first data, then 'ok' / 'stale' / 'error'
+    getStatus() {
+        if (this.lastError) return 'error';
+        if (!this.lastPayload) return 'loading';
+        if (this.staleAfterMs && Date.now() - this.lastPayload.updatedAt > this.staleAfterMs) return 'stale';
+        return 'ok';
+    }
+
+    _connect() { /* Implemented by subclasses */ }
+    _disconnect() { /* Implemented by subclasses */ }
+
+    _receive(text) {
+        let data;
+        try {
+            data = this.parse(text);
+        } catch (error) {
+            this._fail(new Error(`Could not parse ${this.definition.parser || 'json'}: ${error.message}`), false);
+            return;
+        }
+        this.retryCount = 0;
+        this.lastError = null;
+        this.lastPayload = { name: this.name, data, updatedAt: Date.now() };
+        this.manager._onData(this);
+    }
+
+    // reconnect: false for bad payloads on a healthy connection (the next message may be fine)
+    _fail(error, reconnect = true) {
+        console.warn(`Data source "${this.name}": ${error.message}`);
+        this.lastError = error.message;
+        this.manager._updateStatus(this);
+        if (reconnect) this._scheduleRetry(() => this._connect());
+    }
+
+    // Exponential backoff with +-20% jitter so many panels don't retry in lockstep
+    _scheduleRetry(action) {
+        if (!this.isRunning) return;
+        const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** this.retryCount) * (0.8 + Math.random() * 0.4);
+        this.retryCount++;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            if (this.isRunning) action();
+        }, delay);
+    }
+}
+
+class HttpPollingSource extends DataSource {
+    constructor(definition, manager) {
+        super(definition, manager);
+        this.refreshMs = definition.refreshMs ?? DEFAULT_REFRESH_MS;
+        this.staleAfterMs = definition.staleAfterMs ?? (this.refreshMs > 0 ? this.refreshMs * 3 : null);
+        this.abortController = null;
+    }
+
+    async _connect() {
+        const controller = new AbortController();
+        this.abortController = controller;
+        const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        try {
+            const response = await fetch(this.definition.url, { signal: controller.signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            const text = await response.text();
+            if (this.abortController !== controller) return; // Stopped (or restarted) meanwhile
+            this._receive(text);
+            if (this.refreshMs > 0) this.retryTimer = setTimeout(() => this._connect(), this.refreshMs);
+        } catch (error) {
+            if (this.abortController === controller && this.isRunning) this._fail(error);
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    _disconnect() {
+        if (this.abortController) this.abortController.abort();
+        this.abortController = null;
+    }
+}
+
+// A file/URL fetched once (retried with backoff until it loads)
+class StaticFileSource extends HttpPollingSource {
+    constructor(definition, manager) {
+        super({ ...definition, refreshMs: 0 }, manager);
+    }
+}
+
+class WebSocketSource extends DataSource {
+    constructor(definition, manager) {
+        super(definition, manager);
+        this.socket = null;
+    }
+
+    _connect() {
+        const socket = new WebSocket(this.definition.url);
+        this.socket = socket;
+        socket.addEventListener('message', (event) => this._receive(event.data));
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return; // Closed by us
+            this.socket = null;
+            this._fail(new Error('WebSocket closed'));
+        });
+    }
+
+    _disconnect() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+    }
+}
+
+class ServerSentEventsSource extends DataSource {
+    constructor(definition, manager) {
+        super(definition, manager);
+        this.eventSource = null;
+    }
+
+    _connect() {
+        const eventSource = new EventSource(this.definition.url);
+        this.eventSource = eventSource;
+        eventSource.addEventListener('message', (event) => this._receive(event.data));
+        eventSource.addEventListener('error', () => {
+            // EventSource would reconnect on its own at a fixed rate; use our backoff instead
+            eventSource.close();
+            if (this.eventSource !== eventSource) return;
+            this.eventSource = null;
+            this._fail(new Error('Event stream disconnected'));
+        });
+    }
+
+    _disconnect() {
+        const eventSource = this.eventSource;
+        this.eventSource = null;
+        if (eventSource) eventSource.close();
+    }
+}
+
+const SOURCE_CLASSES = {
+    http: HttpPollingSource,
+    websocket: WebSocketSource,
+    sse: ServerSentEventsSource,
+    static: StaticFileSource
+};
+
+export class DataSourceManager {
+    constructor(bus) {
+        this.bus = bus;
+        this.sources = new Map(); // name -> DataSource
+        this.consumers = new Map(); // name -> Set of consumer keys currently using it
+        this.reportedStatus = new Map(); // name -> last status sent to listeners
+        this.statusListeners = new Set(); // (name, status, error) => void
+        this.staleCheckInterval = null; // Only set while a source is running, see _updateStaleCheck
+    }
+
+    // Adds or replaces a source; a replaced source that was in use restarts with the new definition
+    define(definition) {
+        const SourceClass = SOURCE_CLASSES[definition.type];
+        if (!definition.name) throw new Error('Data source needs a name');
+        if (!SourceClass) throw new Error(`Data source "${definition.name}": unknown type "${definition.type}"`);
+        if (!definition.url) throw new Error(`Data source "${definition.name}": missing url`);
+        if (definition.parser && !PARSERS[definition.parser]) throw new Error(`Data source "${definition.name}": unknown parser "${definition.parser}"`);
+
+        this.sources.get(definition.name)?.stop();
+        const source = new SourceClass({ ...definition }, this);
+        this.sources.set(definition.name, source);
+        if (this.consumers.get(definition.name)?.size) source.start();
+        this._updateStatus(source);
+    }
+
+    remove(name) {
+        this.sources.get(name)?.stop();
+        this.sources.delete(name);
+        this.reportedStatus.delete(name);
+        this.statusListeners.forEach(listener => listener(name, null, null));
+    }
+
+    // Validates everything first so a bad list leaves the current sources untouched
+    setDefinitions(definitions) {
+        if (!Array.isArray(definitions)) throw new Error('Data sources must be an array');
+        definitions.forEach(definition => {
+            if (!SOURCE_CLASSES[definition?.type] || !definition.name || !definition.url) {
+                throw new Error(`Invalid data source definition: ${JSON.stringify(definition)}`);
+            }
+        });
+        [...this.sources.keys()].forEach(name => {
+            if (!definitions.some(d => d.name === name)) this.remove(name);
+        });
+        definitions.forEach(definition => this.define(definition));
+    }
+
+    getDefinitions() {
+        return [...this.sources.values()].map(source => ({ ...source.definition }));
+    }
+
+    // Returns the latest payload (if any) so a new consumer can render immediately
+    acquire(name, consumerKey) {
+        if (!this.consumers.has(name)) this.consumers.set(name, new Set());
+        this.consumers.get(name).add(consumerKey);
+        const source = this.sources.get(name);
+        if (!source) {
+            console.warn(`Data source "${name}" is not defined (yet)`);
+            return null;
+        }
+        source.start();
+        return source.lastPayload;
+    }
+
+    release(name, consumerKey) {
+        const consumers = this.consumers.get(name);
+        if (!consumers) return;
+        consumers.delete(consumerKey);
+        if (consumers.size === 0) {
+            this.consumers.delete(name);
+            this.sources.get(name)?.stop(); // Nobody left to render it
+        }
+    }
+
+    getStatus(name) {
+        return this.sources.get(name)?.getStatus() ?? 'error';
+    }
+
+    getError(name) {
+        const source = this.sources.get(name);
+        return source ? source.lastError : `Data source "${name}" is not defined`;
+    }
+
+    onStatusChange(listener) {
+        this.statusListeners.add(listener);
+        return () => this.statusListeners.delete(listener);
+    }
+
+    // Staleness is a function of time, so it has to be polled, but only while something can go stale
+    _updateStaleCheck() {
+        const anyRunning = [...this.sources.values()].some(source => source.isRunning);
+        if (anyRunning && this.staleCheckInterval === null) {
+            this.staleCheckInterval = setInterval(() => this.sources.forEach(source => this._updateStatus(source)), STALE_CHECK_INTERVAL_MS);
+        } else if (!anyRunning && this.staleCheckInterval !== null) {
+            clearInterval(this.staleCheckInterval);
+            this.staleCheckInterval = null;
+        }
+    }
+
+    _onData(source) {
+        this.bus.publish(`data.${source.name}`, source.lastPayload);
+        this._updateStatus(source);
+    }
+
+    _updateStatus(source) {
+        const status = source.getStatus();
+        if (this.reportedStatus.get(source.name) === status) return;
+        this.reportedStatus.set(source.name, status);
+        this.statusListeners.forEach(listener => listener(source.name, status, source.lastError));
+    }
+}
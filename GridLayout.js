@@ -0,0 +1,304 @@
+// --- Grid Layout Core ---
+// The grid math behind PanelManager: clamping, overlap resolution, float-up compaction,
+// collision reflow, world placement, slot lookup, resizing and per-column-count layouts.
+// No DOM and no three.js, so it also loads as a plain ES module in Node:
+//   const grid = new GridLayout({ columns: 6, rowHeight: 2, spacing: 0.1 });
+//   const { placements } = grid.arrange([{ id: 'a', gridX: 0, gridY: 0, widthUnits: 3, heightUnits: 1 }]);
+// Items are any objects with gridX/gridY/widthUnits/heightUnits (Panels or plain rects);
+// their rect fields are updated in place. World coordinates are centered on x = 0 with y
+// growing upwards, grid rows grow downwards from the top edge.
+// Items with `collapsed` set occupy a single row and are placed collapsedHeight tall at its top;
+// their heightUnits is kept for when they expand again.
+// Items with `locked` set keep their cells: overlap resolution, compaction, gap closing and
+// collision reflow move everything else around them.
+
+export const MAX_PANEL_ROWS = 10; // Tallest panel, in rows
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Rows an item occupies right now
+export function rowSpan(item) {
+    return item.collapsed ? 1 : item.heightUnits;
+}
+
+export function gridRectsOverlap(a, b) {
+    return a.gridX < b.gridX + b.widthUnits && b.gridX < a.gridX + a.widthUnits &&
+           a.gridY < b.gridY + rowSpan(b) && b.gridY < a.gridY + rowSpan(a);
+}
+
+// Reading order: top to bottom, then left to right
+export function compareGridPosition(a, b) {
+    if (a.gridY !== b.gridY) return a.gridY - b.gridY;
+    return a.gridX - b.gridX;
+}
+
+export function gridRect(item) {
+    return { gridX: item.gridX, gridY: item.gridY, widthUnits: item.widthUnits, heightUnits: item.heightUnits };
+}
+
+// Plain rect of the cells an item occupies (collapsed items: their top row)
+function occupiedRect(item) {
+    return { ...gridRect(item), heightUnits: rowSpan(item) };
+}
+
+export class GridLayout {
+    constructor({ columns = 6, referenceColumns = columns, rowHeight = 2.0, spacing = 0, floatUp = false, maxRows = MAX_PANEL_ROWS, collapsedHeight = rowHeight / 4 } = {}) {
+        this.rowHeight = rowHeight; // World height of a row
+        this.collapsedHeight = collapsedHeight; // World height of collapsed items, at the top of their row
+        this.referenceColumns = referenceColumns; // Column count at which columns are as wide as rows are tall
+        this.spacing = spacing; // World units between cells
+        this.floatUp = floatUp; // Compact items upwards into empty rows on every arrange()
+        this.maxRows = maxRows;
+        this.origin = { x: 0, y: 0 }; // Top-left corner of the grid, set by arrange()
+        this.setColumns(columns);
+    }
+
+    // Every column count shares the same total grid width, so fewer columns means wider ones
+    setColumns(columns) {
+        this.columns = columns;
+        this.columnWidth = this.rowHeight * this.referenceColumns / columns;
+    }
+
+    getTotalWidth() {
+        return this.columns * this.columnWidth + Math.max(0, this.columns - 1) * this.spacing;
+    }
+
+    // Spanned cells include the spacing between them
+    getItemSize(item) {
+        return {
+            width: item.widthUnits * this.columnWidth + Math.max(0, item.widthUnits - 1) * this.spacing,
+            height: item.collapsed ? this.collapsedHeight : item.heightUnits * this.rowHeight + Math.max(0, item.heightUnits - 1) * this.spacing
+        };
+    }
+
+    // World center and size of an item's rect relative to the current origin
+    getPlacement(item) {
+        const { width, height } = this.getItemSize(item);
+        return {
+            x: this.origin.x + item.gridX * (this.columnWidth + this.spacing) + width / 2,
+            y: this.origin.y - item.gridY * (this.rowHeight + this.spacing) - height / 2,
+            width,
+            height
+        };
+    }
+
+    // Full layout pass: optional float-up, clamping and overlap resolution, then world placement
+    // with the grid centered on the origin. pinned items (e.g. dragged ones) are never floated up.
+    // Returns { rowCount, placements: Map item -> placement, displaced: [{ item, requestedY }] }.
+    arrange(items, { pinned = [] } = {}) {
+        if (this.floatUp) this.compact(items, { pinned });
+        const { rowCount, displaced } = this.resolveOverlaps(items);
+
+        const totalHeight = rowCount * this.rowHeight + Math.max(0, rowCount - 1) * this.spacing;
+        this.origin = { x: -this.getTotalWidth() / 2, y: totalHeight / 2 };
+        const placements = new Map(items.map(item => [item, this.getPlacement(item)]));
+        return { rowCount, placements, displaced };
+    }
+
+    clampRect(item) {
+        item.widthUnits = clamp(item.widthUnits, 1, this.columns);
+        item.heightUnits = clamp(item.heightUnits, 1, this.maxRows);
+        item.gridX = clamp(item.gridX, 0, this.columns - item.widthUnits);
+        item.gridY = Math.max(0, item.gridY);
+        return item;
+    }
+
+    // Overlaps only come from hand-written/imported layouts (interactions reflow first).
+    // Items are moved down until they fit rather than dropped from the grid.
+    resolveOverlaps(items) {
+        const occupied = new Set(); // "row,col"
+        const cellsFree = (item) => {
+            for (let r = 0; r < rowSpan(item); r++) {
+                for (let c = 0; c < item.widthUnits; c++) {
+                    if (occupied.has(`${item.gridY + r},${item.gridX + c}`)) return false;
+                }
+            }
+            return true;
+        };
+
+        let rowCount = 0;
+        const displaced = [];
+        // Locked items claim their cells first
+        [...items].sort((a, b) => Boolean(b.locked) - Boolean(a.locked) || compareGridPosition(a, b)).forEach(item => {
+            this.clampRect(item);
+            if (!cellsFree(item)) {
+                const requestedY = item.gridY;
+                while (!cellsFree(item)) item.gridY++;
+                displaced.push({ item, requestedY });
+            }
+            for (let r = 0; r < rowSpan(item); r++) {
+                for (let c = 0; c < item.widthUnits; c++) occupied.add(`${item.gridY + r},${item.gridX + c}`);
+            }
+            rowCount = Math.max(rowCount, item.gridY + rowSpan(item));
+        });
+        return { rowCount, displaced };
+    }
+
+    // Float up: move every item as high as it can go, top to bottom
+    compact(items, { pinned = [] } = {}) {
+        const placed = items.filter(item => item.locked).map(occupiedRect); // Nothing floats past them
+        [...items].sort(compareGridPosition).forEach(item => {
+            if (item.locked) return;
+            if (!pinned.includes(item)) {
+                while (item.gridY > 0 && !placed.some(other => gridRectsOverlap({ ...occupiedRect(item), gridY: item.gridY - 1 }, other))) {
+                    item.gridY--;
+                }
+            }
+            placed.push(occupiedRect(item));
+        });
+    }
+
+    // Moves the items below gapItem up by at most rows where they fit, e.g. after gapItem collapsed.
+    // Only items under gapItem's columns move, plus those under items that moved (cascading),
+    // so unrelated gaps elsewhere in the grid stay as the user left them.
+    closeGap(items, gapItem, rows) {
+        const fromRow = gapItem.gridY + 1;
+        const spans = [gapItem];
+        const placed = items.filter(item => item.gridY < fromRow || item.locked).map(occupiedRect);
+        items.filter(item => item.gridY >= fromRow && !item.locked).sort(compareGridPosition).forEach(item => {
+            const below = spans.some(span => item.gridX < span.gridX + span.widthUnits && span.gridX < item.gridX + item.widthUnits);
+            if (below) {
+                const startY = item.gridY;
+                while (startY - item.gridY < rows && item.gridY > 0 &&
+                       !placed.some(other => gridRectsOverlap({ ...occupiedRect(item), gridY: item.gridY - 1 }, other))) {
+                    item.gridY--;
+                }
+                if (item.gridY !== startY) spans.push(item);
+            }
+            placed.push(occupiedRect(item));
+        });
+    }
+
+    // Items overlapping rect (other than rect itself)
+    getCollisions(items, rect) {
+        return items.filter(item => item !== rect && gridRectsOverlap(rect, item));
+    }
+
+    // gridstack-style: the mover (one item or several, e.g. a selection) keeps its slot; each colliding
+    // item first tries the nearest free spot in its own row, otherwise it is pushed down below
+    // whatever it hits (cascading). Locked items stay put; movers dropped onto one go below it.
+    pushCollisions(items, movers) {
+        const locked = items.filter(item => item.locked && ![].concat(movers).includes(item));
+        const placed = [...locked];
+        [].concat(movers).sort(compareGridPosition).forEach(mover => {
+            while (placed.some(other => gridRectsOverlap(mover, other))) mover.gridY++;
+            placed.push(mover);
+        });
+        items.filter(item => !placed.includes(item)).sort(compareGridPosition).forEach(item => {
+            if (placed.some(other => gridRectsOverlap(item, other))) {
+                const sidewaysX = this.findSidewaysSlot(items, item);
+                if (sidewaysX !== null) {
+                    item.gridX = sidewaysX;
+                } else {
+                    while (placed.some(other => gridRectsOverlap(item, other))) item.gridY++;
+                }
+            }
+            placed.push(item);
+        });
+    }
+
+    // Nearest gridX in the item's own rows where it overlaps nothing, or null
+    findSidewaysSlot(items, item) {
+        const others = items.filter(other => other !== item);
+        for (let offset = 1; offset < this.columns; offset++) {
+            for (const gridX of [item.gridX - offset, item.gridX + offset]) {
+                if (gridX < 0 || gridX + item.widthUnits > this.columns) continue;
+                const candidate = { ...occupiedRect(item), gridX };
+                if (!others.some(other => gridRectsOverlap(candidate, other))) return gridX;
+            }
+        }
+        return null;
+    }
+
+    // With an item, position is that item's center and the slot is the cell nearest its
+    // top-left corner (accounts for items spanning several columns/rows), kept inside the grid.
+    // Without one, position is a plain point and the slot is the cell containing it.
+    slotAt(position, item = null) {
+        let relativeX = position.x - this.origin.x;
+        let relativeY = this.origin.y - position.y; // Y increases downwards
+        const cellStride = this.columnWidth + this.spacing;
+        const rowStride = this.rowHeight + this.spacing;
+
+        let gridX, gridY;
+        if (item) {
+            const { width, height } = this.getItemSize(item);
+            relativeX -= width / 2;
+            relativeY -= height / 2;
+            gridX = Math.min(Math.round(relativeX / cellStride), this.columns - item.widthUnits);
+            gridY = Math.round(relativeY / rowStride);
+        } else {
+            gridX = Math.floor(relativeX / cellStride);
+            gridY = Math.floor(relativeY / rowStride);
+        }
+        return { gridX: Math.max(0, gridX), gridY: Math.max(0, gridY) };
+    }
+
+    // Rect after dragging the given edges ({ left, right, bottom }) of start by a world-space
+    // pointer delta (deltaY > 0 is downwards). The top edge never moves.
+    resizeRect(start, edges, deltaX, deltaY) {
+        const deltaUnits = Math.round(deltaX / (this.columnWidth + this.spacing));
+        const deltaRows = Math.round(deltaY / (this.rowHeight + this.spacing));
+
+        let widthUnits = start.widthUnits;
+        let heightUnits = start.heightUnits;
+        let gridX = start.gridX;
+        if (edges.right) {
+            widthUnits += deltaUnits;
+        } else if (edges.left) {
+            widthUnits -= deltaUnits;
+            gridX += deltaUnits; // The left edge moves, the right one stays
+        }
+        if (edges.bottom) heightUnits += deltaRows;
+
+        gridX = clamp(gridX, 0, this.columns - 1);
+        widthUnits = clamp(widthUnits, 1, this.columns - gridX); // Not past the right edge
+        heightUnits = clamp(heightUnits, 1, this.maxRows);
+        return { gridX, gridY: start.gridY, widthUnits, heightUnits };
+    }
+
+    // --- Per-column-count layouts ---
+    // item.layouts: { [columns]: rect } as arranged by the user at that column count
+
+    // Stored layouts for the current column count where items have one; the rest are scaled from
+    // their closest stored column count and flow down past the items already placed
+    applyColumnLayouts(items) {
+        const columns = this.columns;
+        const placed = [];
+        const derived = [];
+        items.forEach(item => {
+            const stored = item.layouts?.[columns];
+            if (!stored) {
+                derived.push({ item, rect: this.deriveRect(item, columns) });
+                return;
+            }
+            const widthUnits = Math.min(stored.widthUnits, columns);
+            Object.assign(item, { ...stored, widthUnits, gridX: Math.min(stored.gridX, columns - widthUnits) });
+            placed.push(item);
+        });
+
+        derived.sort((a, b) => compareGridPosition(a.rect, b.rect)).forEach(({ item, rect }) => {
+            while (placed.some(other => gridRectsOverlap(rect, other))) rect.gridY++;
+            Object.assign(item, rect);
+            placed.push(item);
+        });
+    }
+
+    deriveRect(item, columns) {
+        // Closest stored column count; ties go to the wider layout, which has more detail to scale from
+        const sourceColumns = Object.keys(item.layouts || {}).map(Number)
+            .sort((a, b) => Math.abs(a - columns) - Math.abs(b - columns) || b - a)[0];
+        if (sourceColumns === undefined) return gridRect(item);
+
+        const source = item.layouts[sourceColumns];
+        const scale = columns / sourceColumns;
+        const widthUnits = clamp(Math.round(source.widthUnits * scale), 1, columns);
+        return {
+            gridX: clamp(Math.round(source.gridX * scale), 0, columns - widthUnits),
+            gridY: source.gridY,
+            widthUnits,
+            heightUnits: source.heightUnits
+        };
+    }
+}
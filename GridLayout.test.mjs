@@ -0,0 +1,249 @@
+// Node tests for the DOM-free grid core: `npm test` (node --test)
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridLayout, gridRectsOverlap, rowSpan, MAX_PANEL_ROWS } from './GridLayout.js';
+
+function item(id, gridX, gridY, widthUnits = 1, heightUnits = 1, extra = {}) {
+    return { id, gridX, gridY, widthUnits, heightUnits, ...extra };
+}
+
+function rect({ gridX, gridY, widthUnits, heightUnits }) {
+    return { gridX, gridY, widthUnits, heightUnits };
+}
+
+describe('gridRectsOverlap / rowSpan', () => {
+    test('adjacent rects do not overlap, shared cells do', () => {
+        assert.equal(gridRectsOverlap(item('a', 0, 0, 2), item('b', 2, 0)), false);
+        assert.equal(gridRectsOverlap(item('a', 0, 0, 2), item('b', 1, 0)), true);
+    });
+
+    test('collapsed items occupy a single row', () => {
+        const collapsed = item('a', 0, 0, 1, 3, { collapsed: true });
+        assert.equal(rowSpan(collapsed), 1);
+        assert.equal(gridRectsOverlap(collapsed, item('b', 0, 1)), false);
+    });
+});
+
+describe('arrange', () => {
+    test('places items around a centered origin', () => {
+        const grid = new GridLayout({ columns: 2, rowHeight: 2, spacing: 0 });
+        const a = item('a', 0, 0);
+        const b = item('b', 1, 1);
+        const { rowCount, placements } = grid.arrange([a, b]);
+        assert.equal(rowCount, 2);
+        assert.deepEqual(grid.origin, { x: -2, y: 2 });
+        assert.deepEqual(placements.get(a), { x: -1, y: 1, width: 2, height: 2 });
+        assert.deepEqual(placements.get(b), { x: 1, y: -1, width: 2, height: 2 });
+    });
+
+    test('spanned cells include the spacing between them', () => {
+        const grid = new GridLayout({ columns: 4, rowHeight: 1, spacing: 0.5 });
+        const { placements } = grid.arrange([item('a', 0, 0, 3, 2)]);
+        const placement = [...placements.values()][0];
+        assert.equal(placement.width, 3 * 1 + 2 * 0.5);
+        assert.equal(placement.height, 2 * 1 + 1 * 0.5);
+    });
+
+    test('collapsed items are collapsedHeight tall at the top of their row', () => {
+        const grid = new GridLayout({ columns: 2, rowHeight: 2, collapsedHeight: 0.5 });
+        const a = item('a', 0, 0, 1, 3, { collapsed: true });
+        const { rowCount, placements } = grid.arrange([a]);
+        assert.equal(rowCount, 1);
+        assert.equal(placements.get(a).height, 0.5);
+        assert.equal(placements.get(a).y, grid.origin.y - 0.25);
+    });
+
+    test('floats items up only when floatUp is on, never pinned ones', () => {
+        const grid = new GridLayout({ columns: 2, floatUp: true });
+        const a = item('a', 0, 3);
+        const b = item('b', 1, 3);
+        grid.arrange([a, b], { pinned: [b] });
+        assert.equal(a.gridY, 0);
+        assert.equal(b.gridY, 3);
+    });
+});
+
+describe('resolveOverlaps', () => {
+    test('clamps rects into the grid', () => {
+        const grid = new GridLayout({ columns: 4 });
+        const a = item('a', 3, -2, 6, MAX_PANEL_ROWS + 5);
+        grid.resolveOverlaps([a]);
+        assert.deepEqual(rect(a), { gridX: 0, gridY: 0, widthUnits: 4, heightUnits: MAX_PANEL_ROWS });
+    });
+
+    test('moves later items down until they fit and reports them', () => {
+        const grid = new GridLayout({ columns: 4 });
+        const a = item('a', 0, 0, 2, 2);
+        const b = item('b', 1, 1, 2);
+        const { rowCount, displaced } = grid.resolveOverlaps([a, b]);
+        assert.equal(b.gridY, 2);
+        assert.equal(rowCount, 3);
+        assert.deepEqual(displaced, [{ item: b, requestedY: 1 }]);
+    });
+
+    test('locked items keep their cells even when they come later', () => {
+        const grid = new GridLayout({ columns: 4 });
+        const a = item('a', 0, 0, 2);
+        const locked = item('locked', 1, 0, 1, 1, { locked: true });
+        grid.resolveOverlaps([a, locked]);
+        assert.equal(locked.gridY, 0);
+        assert.equal(a.gridY, 1);
+    });
+});
+
+describe('compact', () => {
+    test('moves every item as high as it can go', () => {
+        const grid = new GridLayout({ columns: 2 });
+        const a = item('a', 0, 2);
+        const b = item('b', 0, 5, 2);
+        grid.compact([a, b]);
+        assert.equal(a.gridY, 0);
+        assert.equal(b.gridY, 1);
+    });
+
+    test('nothing floats past a locked item, which stays put', () => {
+        const grid = new GridLayout({ columns: 2 });
+        const locked = item('locked', 0, 3, 1, 1, { locked: true });
+        const below = item('below', 0, 6);
+        grid.compact([below, locked]);
+        assert.equal(locked.gridY, 3);
+        assert.equal(below.gridY, 4);
+    });
+});
+
+describe('closeGap', () => {
+    test('moves items under the gap up by at most rows, cascading', () => {
+        const grid = new GridLayout({ columns: 4 });
+        const collapsed = item('collapsed', 0, 0, 2, 3, { collapsed: true });
+        const under = item('under', 1, 3, 2);
+        const underThat = item('underThat', 2, 4, 2);
+        const elsewhere = item('elsewhere', 3, 2);
+        grid.closeGap([collapsed, under, underThat, elsewhere], collapsed, 2);
+        assert.equal(under.gridY, 1);
+        assert.equal(underThat.gridY, 3); // Blocked by `elsewhere`, which is not under the gap and stays
+        assert.equal(elsewhere.gridY, 2);
+    });
+
+    test('locked items under the gap stay put', () => {
+        const grid = new GridLayout({ columns: 2 });
+        const collapsed = item('collapsed', 0, 0, 2, 3, { collapsed: true });
+        const locked = item('locked', 0, 3, 1, 1, { locked: true });
+        grid.closeGap([collapsed, locked], collapsed, 2);
+        assert.equal(locked.gridY, 3);
+    });
+});
+
+describe('pushCollisions', () => {
+    test('the mover keeps its slot and colliding items move sideways when they can', () => {
+        const grid = new GridLayout({ columns: 4 });
+        const mover = item('mover', 0, 0, 2);
+        const other = item('other', 1, 0);
+        grid.pushCollisions([mover, other], mover);
+        assert.deepEqual(rect(mover), rect(item('', 0, 0, 2)));
+        assert.equal(other.gridX, 2);
+        assert.equal(other.gridY, 0);
+    });
+
+    test('colliding items are pushed down, cascading, when there is no room sideways', () => {
+        const grid = new GridLayout({ columns: 2 });
+        const mover = item('mover', 0, 0, 2);
+        const a = item('a', 0, 0, 2);
+        const b = item('b', 0, 1, 2);
+        grid.pushCollisions([mover, a, b], mover);
+        assert.equal(a.gridY, 1);
+        assert.equal(b.gridY, 2);
+    });
+
+    test('several movers keep their slots together', () => {
+        const grid = new GridLayout({ columns: 2 });
+        const first = item('first', 0, 0);
+        const second = item('second', 1, 0);
+        const other = item('other', 0, 0, 2);
+        grid.pushCollisions([first, second, other], [first, second]);
+        assert.equal(first.gridY, 0);
+        assert.equal(second.gridY, 0);
+        assert.equal(other.gridY, 1);
+    });
+
+    test('locked items stay put and a mover dropped onto one goes below it', () => {
+        const grid = new GridLayout({ columns: 2 });
+        const locked = item('locked', 0, 1, 2, 1, { locked: true });
+        const mover = item('mover', 0, 1, 2);
+        const other = item('other', 0, 2, 2);
+        grid.pushCollisions([locked, mover, other], mover);
+        assert.equal(locked.gridY, 1);
+        assert.equal(mover.gridY, 2);
+        assert.equal(other.gridY, 3);
+    });
+});
+
+describe('findSidewaysSlot', () => {
+    test('returns the nearest free gridX in the item\'s rows', () => {
+        const grid = new GridLayout({ columns: 4 });
+        const blocker = item('blocker', 0, 0, 2);
+        const target = item('target', 1, 0);
+        assert.equal(grid.findSidewaysSlot([blocker, target], target), 2);
+    });
+
+    test('returns null when the row is full', () => {
+        const grid = new GridLayout({ columns: 2 });
+        const blocker = item('blocker', 0, 0, 2);
+        const target = item('target', 0, 0);
+        assert.equal(grid.findSidewaysSlot([blocker, target], target), null);
+    });
+});
+
+describe('slotAt', () => {
+    const grid = new GridLayout({ columns: 4, rowHeight: 1, spacing: 0 });
+    grid.arrange([item('a', 0, 0), item('b', 0, 1)]); // origin { x: -2, y: 1 }
+
+    test('a plain point gives the cell containing it', () => {
+        assert.deepEqual(grid.slotAt({ x: -0.5, y: -0.5 }), { gridX: 1, gridY: 1 });
+    });
+
+    test('an item center gives the cell nearest its top-left corner, kept inside the grid', () => {
+        const wide = item('wide', 0, 0, 2);
+        assert.deepEqual(grid.slotAt({ x: 1.9, y: 0.4 }, wide), { gridX: 2, gridY: 0 });
+        assert.deepEqual(grid.slotAt({ x: 10, y: 5 }, wide), { gridX: 2, gridY: 0 });
+    });
+});
+
+describe('resizeRect', () => {
+    const grid = new GridLayout({ columns: 4, rowHeight: 1, spacing: 0 });
+    const start = item('a', 1, 0, 2);
+
+    test('the right and bottom edges grow the rect', () => {
+        assert.deepEqual(grid.resizeRect(start, { right: true, bottom: true }, 1.2, 2.4), { gridX: 1, gridY: 0, widthUnits: 3, heightUnits: 3 });
+    });
+
+    test('the left edge moves gridX and keeps the right edge', () => {
+        assert.deepEqual(grid.resizeRect(start, { left: true }, -1, 0), { gridX: 0, gridY: 0, widthUnits: 3, heightUnits: 1 });
+    });
+
+    test('stays inside the grid and at least one cell', () => {
+        assert.deepEqual(grid.resizeRect(start, { right: true }, 10, 0).widthUnits, 3);
+        assert.deepEqual(grid.resizeRect(start, { right: true, bottom: true }, -10, -10), { gridX: 1, gridY: 0, widthUnits: 1, heightUnits: 1 });
+    });
+});
+
+describe('per-column-count layouts', () => {
+    test('deriveRect scales the closest stored layout, preferring the wider one on ties', () => {
+        const grid = new GridLayout({ columns: 6 });
+        const panel = item('a', 0, 0, 1, 2, { layouts: { 4: rect(item('', 2, 1, 2, 2)), 8: rect(item('', 4, 3, 4, 2)) } });
+        assert.deepEqual(grid.deriveRect(panel, 6), { gridX: 3, gridY: 3, widthUnits: 3, heightUnits: 2 });
+    });
+
+    test('deriveRect keeps the current rect without stored layouts', () => {
+        const grid = new GridLayout({ columns: 6 });
+        assert.deepEqual(grid.deriveRect(item('a', 1, 2, 3), 12), { gridX: 1, gridY: 2, widthUnits: 3, heightUnits: 1 });
+    });
+
+    test('applyColumnLayouts uses stored rects and flows derived ones below them', () => {
+        const grid = new GridLayout({ columns: 2 });
+        const stored = item('stored', 0, 0, 1, 1, { layouts: { 2: rect(item('', 0, 0, 2)) } });
+        const derived = item('derived', 0, 0, 1, 1, { layouts: { 4: rect(item('', 0, 0, 2)) } });
+        grid.applyColumnLayouts([stored, derived]);
+        assert.deepEqual(rect(stored), { gridX: 0, gridY: 0, widthUnits: 2, heightUnits: 1 });
+        assert.deepEqual(rect(derived), { gridX: 0, gridY: 1, widthUnits: 1, heightUnits: 1 });
+    });
+});
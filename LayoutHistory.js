@@ -0,0 +1,102 @@
+import { info } from './Log.js';
+
+// --- Undo / Redo History ---
+// Command-based: every entry is { label, undo(), redo(), mergeKey? }.
+// Consecutive entries with the same mergeKey inside MERGE_WINDOW_MS collapse into one,
+// so slider scrubs end up as a single undo step.
+
+const DEFAULT_MAX_ENTRIES = 100;
+const MERGE_WINDOW_MS = 1000;
+
+export class LayoutHistory {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false; // True while an undo/redo runs, so its own changes aren't recorded
+        this.pendingBatch = null; // Commands recorded inside batch()
+    }
+
+    record(command) {
+        if (this.isApplying) return;
+        if (this.pendingBatch) {
+            this.pendingBatch.push(command);
+            return;
+        }
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (command.mergeKey && last && last.mergeKey === command.mergeKey && now - last.time < MERGE_WINDOW_MS) {
+            last.redo = command.redo; // Keep the oldest undo, take the newest redo
+            last.time = now;
+        } else {
+            this.undoStack.push({ ...command, time: now });
+            if (this.undoStack.length > this.maxEntries) this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    // Everything fn records becomes one entry (e.g. deleting several panels at once).
+    // Undo runs the commands' undos last to first. Nested batches join the outer one.
+    // If fn throws, what it changed before that is still recorded, then the error propagates.
+    batch(label, fn) {
+        if (this.isApplying || this.pendingBatch) return fn();
+        const commands = this.pendingBatch = [];
+        try {
+            return fn();
+        } finally {
+            this.pendingBatch = null;
+            if (commands.length === 1) {
+                this.record(commands[0]);
+            } else if (commands.length > 1) {
+                this.record({
+                    label,
+                    undo: () => [...commands].reverse().forEach(command => command.undo()),
+                    redo: () => commands.forEach(command => command.redo())
+                });
+            }
+        }
+    }
+
+    // Ends merging for the current entry (e.g. on slider release)
+    closeEntry() {
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (last) last.mergeKey = null;
+    }
+
+    canUndo() { return this.undoStack.length > 0; }
+    canRedo() { return this.redoStack.length > 0; }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+        this._apply(command.undo);
+        this.redoStack.push(command);
+        info(`Undo: ${command.label}`);
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+        this._apply(command.redo);
+        command.mergeKey = null; // A redone entry never absorbs new changes
+        this.undoStack.push(command);
+        info(`Redo: ${command.label}`);
+        return true;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    _apply(action) {
+        this.isApplying = true;
+        try {
+            action();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+}
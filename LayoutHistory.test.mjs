@@ -0,0 +1,87 @@
+// Node tests for the DOM-free undo history: `npm test` (node --test)
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { LayoutHistory } from './LayoutHistory.js';
+
+// Command that logs its undo/redo calls as '<name>:undo' / '<name>:redo'
+function command(name, log, extra = {}) {
+    return { label: name, undo: () => log.push(`${name}:undo`), redo: () => log.push(`${name}:redo`), ...extra };
+}
+
+describe('batch', () => {
+    test('undo runs the commands last to first, redo first to last', () => {
+        const history = new LayoutHistory();
+        const log = [];
+        history.batch('Both', () => {
+            history.record(command('a', log));
+            history.record(command('b', log));
+        });
+        assert.equal(history.undoStack.length, 1);
+        assert.equal(history.undoStack[0].label, 'Both');
+
+        history.undo();
+        assert.deepEqual(log, ['b:undo', 'a:undo']);
+        history.redo();
+        assert.deepEqual(log, ['b:undo', 'a:undo', 'a:redo', 'b:redo']);
+    });
+
+    test('nested batches join the outer one', () => {
+        const history = new LayoutHistory();
+        const log = [];
+        history.batch('Outer', () => {
+            history.record(command('a', log));
+            history.batch('Inner', () => {
+                history.record(command('b', log));
+                history.record(command('c', log));
+            });
+        });
+        assert.deepEqual(history.undoStack.map(entry => entry.label), ['Outer']);
+        history.undo();
+        assert.deepEqual(log, ['c:undo', 'b:undo', 'a:undo']);
+    });
+
+    test('a single command is recorded as it is', () => {
+        const history = new LayoutHistory();
+        const only = command('only', []);
+        history.batch('Batch', () => history.record(only));
+        assert.equal(history.undoStack.length, 1);
+        assert.equal(history.undoStack[0].label, 'only');
+        assert.equal(history.undoStack[0].undo, only.undo);
+    });
+
+    test('an empty batch records nothing and returns what fn returns', () => {
+        const history = new LayoutHistory();
+        assert.equal(history.batch('Nothing', () => 42), 42);
+        assert.equal(history.canUndo(), false);
+    });
+
+    test('fn throwing propagates, keeps what ran before and leaves the history usable', () => {
+        const history = new LayoutHistory();
+        const log = [];
+        assert.throws(() => history.batch('Broken', () => {
+            history.record(command('a', log));
+            history.record(command('b', log));
+            throw new Error('boom');
+        }), /boom/);
+        assert.equal(history.pendingBatch, null);
+        assert.deepEqual(history.undoStack.map(entry => entry.label), ['Broken']);
+
+        history.record(command('after', log));
+        assert.equal(history.undoStack.length, 2);
+        history.undo();
+        history.undo();
+        assert.deepEqual(log, ['after:undo', 'b:undo', 'a:undo']);
+    });
+
+    test('commands recorded while undoing a batch are ignored', () => {
+        const history = new LayoutHistory();
+        const log = [];
+        history.batch('Batch', () => {
+            history.record(command('a', log, { undo: () => history.record(command('nested', log)) }));
+            history.record(command('b', log));
+        });
+        history.undo();
+        assert.equal(history.canUndo(), false);
+        assert.equal(history.redoStack.length, 1);
+    });
+});
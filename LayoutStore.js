@@ -0,0 +1,246 @@
+import { parseAssetRef } from './AssetLibrary.js';
+import { info } from './Log.js';
+
+// --- Layout Persistence ---
+// Serialized dashboards are plain JSON documents:
+// { format: 'panlz-layout', version, grid: { ... }, panels: [ ... ], state: { ... }, assets: { ... } }
+// (state is the persisted slice of the PanelBus store and may be absent; assets only appear in
+// exported files and carry the library images the panels reference, see exportToFile)
+// Bump LAYOUT_SCHEMA_VERSION whenever that shape changes and add a migration below.
+
+export const LAYOUT_FORMAT = 'panlz-layout';
+export const LAYOUT_SCHEMA_VERSION = 4;
+export const LAYOUT_FILE_EXTENSION = '.panlz.json';
+
+const DEFAULT_STORAGE_KEY = 'panlz.layout';
+const AUTOSAVE_DELAY_MS = 500; // Debounce so drags/slider scrubs don't hammer localStorage
+
+// Share links carry { name, layout } deflated and base64url-encoded in the URL hash: #share=<payload>.
+// Library images only exist in the sharing browser, so their frame textures are left out.
+const SHARE_HASH_PREFIX = '#share=';
+export const MAX_SHARE_URL_LENGTH = 8000; // Longer URLs get cut off by chat tools and some servers
+// Share links are untrusted input and deflate packs repetitive JSON very tightly, so a short link
+// could inflate to hundreds of MB; real layouts that fit in a link stay far below this
+const MAX_SHARED_LAYOUT_BYTES = 2 * 1024 * 1024;
+
+// Each migration upgrades a document from version N to N + 1
+const MIGRATIONS = {
+    // v0: early saves were a bare array of panel configs with no grid block
+    0: (doc) => ({
+        format: LAYOUT_FORMAT,
+        version: 1,
+        grid: {},
+        panels: Array.isArray(doc) ? doc : (doc.panels || [])
+    }),
+    // v1 -> v2: panels can span several rows (heightUnits)
+    1: (doc) => ({
+        ...doc,
+        version: 2,
+        panels: doc.panels.map(panel => ({ ...panel, heightUnits: panel.heightUnits || 1 }))
+    }),
+    // v2 -> v3: panel content is a type + options (see PanelTypes.js); raw code becomes customJs
+    2: (doc) => ({
+        ...doc,
+        version: 3,
+        panels: doc.panels.map(({ initialJsCode, ...panel }) => ({
+            ...panel,
+            type: 'customJs',
+            options: initialJsCode ? { code: initialJsCode } : {}
+        }))
+    }),
+    // v3 -> v4: one frame texture URL becomes per-region mappings (header/edge/back)
+    3: (doc) => ({
+        ...doc,
+        version: 4,
+        panels: doc.panels.map(({ frameTextureUrl, ...panel }) => ({
+            ...panel,
+            frameTextures: frameTextureUrl
+                ? Object.fromEntries(['header', 'edge', 'back'].map(region => [region, { source: frameTextureUrl }]))
+                : {}
+        }))
+    })
+};
+
+export function migrateLayout(doc) {
+    if (!doc || typeof doc !== 'object') {
+        throw new Error('Layout document is empty or not an object');
+    }
+    if (!Array.isArray(doc) && doc.format && doc.format !== LAYOUT_FORMAT) {
+        throw new Error(`Unknown layout format "${doc.format}"`);
+    }
+
+    let migrated = doc;
+    let version = Array.isArray(doc) ? 0 : (doc.version ?? 0);
+    if (version > LAYOUT_SCHEMA_VERSION) {
+        throw new Error(`Layout version ${version} is newer than supported version ${LAYOUT_SCHEMA_VERSION}`);
+    }
+
+    while (version < LAYOUT_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) throw new Error(`No migration from layout version ${version}`);
+        migrated = migrate(migrated);
+        version = migrated.version;
+        info(`Migrated layout to version ${version}`);
+    }
+    return migrated;
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+async function deflateToBase64Url(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Throws a RangeError (and stops inflating) once the output passes maxBytes
+async function inflateFromBase64Url(encoded, maxBytes) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const chunks = [];
+    let total = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        total += value.length;
+        if (total > maxBytes) {
+            await reader.cancel();
+            throw new RangeError(`The shared dashboard is too big (over ${Math.round(maxBytes / 1024 / 1024)} MB)`);
+        }
+        chunks.push(value);
+    }
+    return new Blob(chunks).text();
+}
+
+export function isShareHash(hash) {
+    return hash.startsWith(SHARE_HASH_PREFIX);
+}
+
+// { name, layout } from a share link's hash; throws on truncated or corrupt links
+export async function readShareHash(hash) {
+    if (!isShareHash(hash)) throw new Error('Not a share link');
+    let shared;
+    try {
+        shared = JSON.parse(await inflateFromBase64Url(hash.slice(SHARE_HASH_PREFIX.length), MAX_SHARED_LAYOUT_BYTES));
+    } catch (error) {
+        if (error instanceof RangeError) throw error;
+        throw new Error('The share link is damaged or incomplete (was it cut off when copied?)');
+    }
+    return { name: shared.name || 'Shared dashboard', layout: migrateLayout(shared.layout) };
+}
+
+export class LayoutStore {
+    constructor(panelManager, options = {}) {
+        this.panelManager = panelManager;
+        this.storageKey = options.storageKey || DEFAULT_STORAGE_KEY;
+        this.autosaveEnabled = options.autosave !== false;
+        this.autosaveTimeout = null;
+    }
+
+    scheduleAutosave() {
+        if (!this.autosaveEnabled) return;
+        clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = setTimeout(() => this.saveToLocalStorage(), AUTOSAVE_DELAY_MS);
+    }
+
+    saveToLocalStorage() {
+        clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = null;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.panelManager.toJSON()));
+            return true;
+        } catch (error) {
+            // Usually QuotaExceededError
+            console.error('Failed to save layout to localStorage:', error);
+            return false;
+        }
+    }
+
+    loadFromLocalStorage() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            console.error('Failed to read layout from localStorage:', error);
+        }
+        if (!stored) return false;
+
+        try {
+            this.panelManager.loadLayout(JSON.parse(stored));
+            return true;
+        } catch (error) {
+            console.error('Saved layout could not be loaded, keeping current layout:', error);
+            return false;
+        }
+    }
+
+    clearLocalStorage() {
+        clearTimeout(this.autosaveTimeout);
+        localStorage.removeItem(this.storageKey);
+    }
+
+    // Library images used by the panels are embedded as data URLs so the file works in other browsers
+    async exportToFile(filename = `dashboard${LAYOUT_FILE_EXTENSION}`) {
+        const doc = this.panelManager.toJSON();
+        const assetIds = new Set(doc.panels.flatMap(panel => Object.values(panel.frameTextures || {})
+            .map(mapping => parseAssetRef(mapping?.source))
+            .filter(Boolean)));
+        if (assetIds.size > 0) {
+            const assets = await this.panelManager.assets.list();
+            doc.assets = {};
+            for (const asset of assets.filter(({ id }) => assetIds.has(id))) {
+                doc.assets[asset.id] = { name: asset.name, dataUrl: await blobToDataUrl(await this.panelManager.assets.getBlob(asset.id)) };
+            }
+        }
+        const json = JSON.stringify(doc, null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // { url, length, omittedImages }; url is null when the layout is too big for a link
+    // (length > MAX_SHARE_URL_LENGTH), callers fall back to exportToFile
+    async createShareLink(name, baseUrl = window.location.href) {
+        const layout = this.panelManager.toJSON();
+        const omittedAssetIds = new Set(); // One image on several regions or panels counts once
+        layout.panels = layout.panels.map(panel => {
+            const mappings = Object.entries(panel.frameTextures || {});
+            const kept = mappings.filter(([, mapping]) => {
+                const assetId = parseAssetRef(mapping?.source);
+                if (assetId) omittedAssetIds.add(assetId);
+                return !assetId;
+            });
+            return { ...panel, frameTextures: Object.fromEntries(kept) };
+        });
+        const omittedImages = omittedAssetIds.size;
+        const url = `${baseUrl.split('#')[0]}${SHARE_HASH_PREFIX}${await deflateToBase64Url(JSON.stringify({ name, layout }))}`;
+        return { url: url.length > MAX_SHARE_URL_LENGTH ? null : url, length: url.length, omittedImages };
+    }
+
+    async importFromFile(file) {
+        const { assets, ...doc } = JSON.parse(await file.text());
+        // Embedded images go into the library first; ids are UUIDs, so existing copies are simply kept
+        for (const [id, { name, dataUrl }] of Object.entries(assets || {})) {
+            if (await this.panelManager.assets.has(id)) continue;
+            const blob = await (await fetch(dataUrl)).blob();
+            await this.panelManager.assets.put({ id, name, blob });
+        }
+        this.panelManager.loadLayout(doc, { undoable: true }); // Throws on bad/unsupported documents, current layout is kept
+        this.panelManager.notifyLayoutChanged(); // loadLayout itself doesn't trigger saves
+    }
+}
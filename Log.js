@@ -0,0 +1,31 @@
+// --- Logging ---
+// Diagnostics that fire on every layout pass, rebuild or interaction go through debug()/info()
+// and stay silent unless the log level allows them. Warnings and errors keep using console directly.
+//   setLogLevel('debug'); // or open the page with ?log=debug (see main.js)
+
+export const LOG_LEVELS = ['silent', 'warn', 'info', 'debug'];
+
+let currentLevel = 'warn';
+
+export function setLogLevel(level) {
+    if (!LOG_LEVELS.includes(level)) throw new Error(`Unknown log level "${level}" (expected ${LOG_LEVELS.join(', ')})`);
+    currentLevel = level;
+}
+
+export function getLogLevel() {
+    return currentLevel;
+}
+
+function isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(currentLevel);
+}
+
+// Noteworthy one-off events: layout loaded, breakpoint switched, undo/redo
+export function info(...args) {
+    if (isEnabled('info')) console.info(...args);
+}
+
+// High-frequency detail: per-panel rebuilds, resize steps, spacing changes
+export function debug(...args) {
+    if (isEnabled('debug')) console.debug(...args);
+}
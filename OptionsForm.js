@@ -0,0 +1,77 @@
+// --- Options Form ---
+// Renders a panel type's option schema (see PanelTypes.js) as form fields and reads them back.
+
+function createInput(field, value) {
+    switch (field.type) {
+        case 'text':
+        case 'code': {
+            const textarea = document.createElement('textarea');
+            textarea.rows = field.type === 'code' ? 8 : 4;
+            textarea.spellcheck = field.type !== 'code';
+            if (field.type === 'code') textarea.style.fontFamily = 'monospace';
+            textarea.value = value ?? '';
+            return textarea;
+        }
+        case 'select': {
+            const select = document.createElement('select');
+            (field.choices || []).forEach(choice => {
+                const option = document.createElement('option');
+                option.value = typeof choice === 'object' ? choice.value : choice;
+                option.textContent = typeof choice === 'object' ? (choice.label ?? choice.value) : choice;
+                select.appendChild(option);
+            });
+            select.value = value ?? '';
+            return select;
+        }
+        case 'boolean': {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(value);
+            return checkbox;
+        }
+        default: {
+            const input = document.createElement('input');
+            input.type = { number: 'number', color: 'color' }[field.type] || 'text';
+            ['min', 'max', 'step'].forEach(attribute => {
+                if (field[attribute] !== undefined) input[attribute] = field[attribute];
+            });
+            input.value = value ?? '';
+            return input;
+        }
+    }
+}
+
+// idPrefix keeps element ids unique when several forms are on the page
+export function renderOptionsForm(container, schema, values, idPrefix = 'panel-option') {
+    container.replaceChildren();
+    Object.entries(schema).forEach(([key, field]) => {
+        const input = createInput(field, values[key]);
+        input.id = `${idPrefix}-${key}`;
+        input.dataset.optionKey = key;
+
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.textContent = field.label || key;
+        if (field.type === 'boolean') {
+            const group = document.createElement('div');
+            group.className = 'checkbox-group';
+            label.style.display = 'inline';
+            group.append(input, label);
+            container.appendChild(group);
+        } else {
+            container.append(label, input);
+        }
+    });
+}
+
+export function readOptionsForm(container, schema) {
+    const values = {};
+    Object.entries(schema).forEach(([key, field]) => {
+        const input = container.querySelector(`[data-option-key="${key}"]`);
+        if (!input) return;
+        if (field.type === 'boolean') values[key] = input.checked;
+        else if (field.type === 'number') values[key] = input.value === '' ? field.default : parseFloat(input.value);
+        else values[key] = input.value;
+    });
+    return values;
+}
@@ -1,7 +1,34 @@
 import * as THREE from 'three';
+import { PanelSandbox } from './PanelSandbox.js';
+import { DEFAULT_PANEL_TYPE, createPanelScript, resolvePanelOptions } from './PanelTypes.js';
+import { PANEL_THEME_TOKENS } from './Themes.js';
+import { parseAssetRef } from './AssetLibrary.js';
+import { debug } from './Log.js';
 
 const DEFAULT_PANEL_DEPTH = 0.1; // Thickness of the panel
 const GEAR_ICON_SIZE = 0.5; // Relative size in panel units
+const DEFAULT_TARGET_FPS = 30; // Draw rate for scripts with a draw() hook
+const CORNER_HANDLE_SIZE = 0.15; // Relative to gridCellWidth
+const STATUS_INDICATOR_SIZE = 0.08; // Radius relative to gridCellWidth
+const INTERACTION_BOUNDS_MARGIN = 0.25; // Slack around the frame for handles, relative to gridCellWidth
+const HEADER_BUTTON_SIZE = 0.3; // Relative to gridCellWidth
+const HEADER_BUTTON_GAP = 0.08; // Between header buttons, relative to gridCellWidth
+const HEADER_BUTTON_OPACITY = 0.6; // Idle; hovered buttons are fully opaque
+const SELECTION_OUTLINE_WIDTH = 0.03; // Relative to gridCellWidth
+const MAX_CONSOLE_ENTRIES = 200; // Oldest script console lines are dropped beyond this
+
+// Header dot for the panel's data sources, worst status wins
+const DATA_STATUS_COLORS = { ok: 0x33cc66, loading: 0x8899aa, stale: 0xffaa00, error: 0xee3333 };
+const DATA_STATUS_SEVERITY = ['ok', 'loading', 'stale', 'error'];
+
+// Drawn instead of the panel's code while PanelManager.scriptsEnabled is false (untrusted share links)
+const HELD_SCRIPT = `ctx.fillStyle = '#888';
+ctx.font = '14px sans-serif';
+ctx.textAlign = 'center';
+ctx.fillText('Shared code not run', canvas.width / 2, canvas.height / 2);`;
+
+// loadImage() only fetches these, anonymously; anything else (file:, javascript:, ...) is refused
+const SCRIPT_IMAGE_PROTOCOLS = ['http:', 'https:', 'data:', 'blob:'];
 
 // --- Default frame texture loading REMOVED ---
 
@@ -12,9 +39,161 @@ gearShape.moveTo(0.1, 0); gearShape.absarc(0, 0, 0.1, 0, Math.PI * 2, true);
 const gearGeometry = new THREE.ShapeGeometry(gearShape);
 const gearMaterial = new THREE.MeshBasicMaterial({ color: 0xcccccc, side: THREE.DoubleSide });
 
+// Corner handles for diagonal resize (shared, never disposed)
+const cornerHandleMaterial = new THREE.MeshBasicMaterial({ color: 0xcccccc, transparent: true, opacity: 0.5, side: THREE.DoubleSide });
+
+// Outline around selected panels (shared, never disposed)
+const selectionOutlineMaterial = new THREE.MeshBasicMaterial({ color: 0x3399ff, side: THREE.DoubleSide });
+
+// Gear and handle materials are shared by all panels, so their color is theme-wide (chromeColor token)
+export function setChromeColor(color) {
+    gearMaterial.color.set(color);
+    cornerHandleMaterial.color.set(color);
+}
+
+// Header button icons: one white glyph per icon, tinted by each button's material (shared, never disposed)
+const headerIconTextures = new Map();
+
+function getHeaderIconTexture(icon) {
+    if (!headerIconTextures.has(icon)) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '44px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(icon, 32, 34, 60);
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        headerIconTextures.set(icon, texture);
+    }
+    return headerIconTextures.get(icon);
+}
+
 // Shared Loader
 const textureLoader = new THREE.TextureLoader();
 
+// Frame geometries by size and shape. Resize drags and same-sized panels hit the same few sizes
+// over and over, and extruding the rounded frame is the expensive part of a rebuild. Entries can be
+// shared by several panels; disposing one only frees its GPU buffers, which three.js re-uploads
+// if another panel still draws it.
+const FRAME_GEOMETRY_CACHE_SIZE = 64;
+const frameGeometryCache = new Map(); // key -> ExtrudeGeometry, least recently used first
+
+function getFrameGeometry(key, create) {
+    let geometry = frameGeometryCache.get(key);
+    if (geometry) frameGeometryCache.delete(key);
+    else geometry = create();
+    frameGeometryCache.set(key, geometry);
+    if (frameGeometryCache.size > FRAME_GEOMETRY_CACHE_SIZE) frameGeometryCache.delete(frameGeometryCache.keys().next().value);
+    return geometry;
+}
+
+// Header titles: white text in the titleFont token, tinted by the title mesh's material (titleColor).
+// Cached like frame geometries; evicted textures are disposed, which three.js re-uploads if a panel
+// still shows one.
+const TITLE_TEXTURE_HEIGHT = 64; // Pixels; titleFont sizes are relative to this
+const MAX_TITLE_TEXTURE_WIDTH = 2048;
+const TITLE_TEXTURE_CACHE_SIZE = 64;
+const titleTextureCache = new Map(); // key -> CanvasTexture, least recently used first
+
+function getTitleTexture(title, font, aspect) {
+    const width = Math.min(MAX_TITLE_TEXTURE_WIDTH, Math.max(1, Math.round(TITLE_TEXTURE_HEIGHT * aspect)));
+    const key = `${width}|${font}|${title}`;
+    let texture = titleTextureCache.get(key);
+    if (texture) {
+        titleTextureCache.delete(key);
+    } else {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = TITLE_TEXTURE_HEIGHT;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.font = font;
+        ctx.textBaseline = 'middle';
+        ctx.fillText(title, 8, TITLE_TEXTURE_HEIGHT / 2, width - 16);
+        texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+    }
+    titleTextureCache.set(key, texture);
+    if (titleTextureCache.size > TITLE_TEXTURE_CACHE_SIZE) {
+        const [oldestKey, oldest] = titleTextureCache.entries().next().value;
+        titleTextureCache.delete(oldestKey);
+        oldest.dispose();
+    }
+    return texture;
+}
+
+// normal: at its grid slot; maximized: in front of the grid, filling the viewport;
+// collapsed: just the header, the grid reflows around it (see PanelManager.setPanelViewState)
+export const PANEL_VIEW_STATES = ['normal', 'maximized', 'collapsed'];
+
+// --- Frame Textures ---
+// Each region gets its own mapping: { source: 'asset:<id>' | URL, repeatX, repeatY, offsetX, offsetY, rotation (degrees), tint }.
+// header = header strip, edge = bezel and side walls, back = front/back caps of the frame.
+export const FRAME_TEXTURE_REGIONS = ['header', 'edge', 'back'];
+export const DEFAULT_TEXTURE_MAPPING = { source: '', repeatX: 1, repeatY: 1, offsetX: 0, offsetY: 0, rotation: 0, tint: '#ffffff' };
+
+// Source -> Promise<Texture>; regions share the image and only clone the texture for their own transform
+const sourceTextureCache = new Map();
+
+function normalizeFrameTextures(frameTextures, legacyUrl) {
+    // A pre-region frameTextureUrl covered the whole frame
+    const source = frameTextures || (legacyUrl ? Object.fromEntries(FRAME_TEXTURE_REGIONS.map(region => [region, { source: legacyUrl }])) : {});
+    return Object.fromEntries(FRAME_TEXTURE_REGIONS.map(region => [
+        region,
+        source[region]?.source ? { ...DEFAULT_TEXTURE_MAPPING, ...source[region] } : null
+    ]));
+}
+
+function loadSourceTexture(source, assets) {
+    if (!sourceTextureCache.has(source)) {
+        const assetId = parseAssetRef(source);
+        const promise = (assetId ? assets.getObjectUrl(assetId) : Promise.resolve(source))
+            .then(url => textureLoader.loadAsync(url))
+            .then(texture => {
+                texture.colorSpace = THREE.SRGBColorSpace;
+                return texture;
+            });
+        promise.catch(() => sourceTextureCache.delete(source)); // Retry on next use (e.g. asset imported later)
+        sourceTextureCache.set(source, promise);
+    }
+    return sourceTextureCache.get(source);
+}
+
+function createMappedTexture(baseTexture, mapping, anisotropy) {
+    const texture = baseTexture.clone();
+    texture.anisotropy = anisotropy; // Frames are often seen at an angle (edges, dashboard transitions)
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(mapping.repeatX, mapping.repeatY);
+    texture.offset.set(mapping.offsetX, mapping.offsetY);
+    texture.center.set(0.5, 0.5); // Rotate around the middle of the region
+    texture.rotation = THREE.MathUtils.degToRad(mapping.rotation);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Default ExtrudeGeometry UVs are raw world coordinates, so a texture tiles by panel size.
+// These map each cap once over the panel and each side wall once along its edge and across the depth,
+// which leaves tiling to the region's repeat settings.
+function createFrameUVGenerator(width, height, depth) {
+    const u = (x) => x / width + 0.5;
+    const v = (y) => y / height + 0.5;
+    return {
+        generateTopUV(geometry, vertices, a, b, c) {
+            return [a, b, c].map(i => new THREE.Vector2(u(vertices[i * 3]), v(vertices[i * 3 + 1])));
+        },
+        generateSideWallUV(geometry, vertices, a, b, c, d) {
+            const horizontal = Math.abs(vertices[a * 3 + 1] - vertices[b * 3 + 1]) < Math.abs(vertices[a * 3] - vertices[b * 3]);
+            return [a, b, c, d].map(i => new THREE.Vector2(
+                horizontal ? u(vertices[i * 3]) : v(vertices[i * 3 + 1]),
+                vertices[i * 3 + 2] / depth
+            ));
+        }
+    };
+}
+
 
 export class Panel {
     constructor(id, config, sceneRef) {
@@ -27,26 +206,63 @@ export class Panel {
         this.gridX = config.gridX || 0;
         this.gridY = config.gridY || 0;
         this.widthUnits = config.widthUnits || 1;
-        // Height units/calculation is handled by PanelManager layout
+        this.heightUnits = config.heightUnits || 1; // Rows spanned; world height is computed by PanelManager layout
+        // Stored grid rects per column count ({ [columns]: { gridX, gridY, widthUnits, heightUnits } }),
+        // see PanelManager responsive breakpoints
+        this.layouts = JSON.parse(JSON.stringify(config.layouts || {}));
+        this.viewState = PANEL_VIEW_STATES.includes(config.viewState) ? config.viewState : 'normal';
+        this.locked = Boolean(config.locked); // Pinned in the grid, no resize or code changes (PanelManager.setPanelLocked)
 
         // Appearance Settings
-        this.cornerRadius = config.cornerRadius || 0.1;
-        this.bevelSize = config.bevelSize || 0.02;
-        this.screenOpacity = config.screenOpacity || 1.0;
-        this.frameMaterial = null; // Will be created in _createMesh
-        this.frameTexture = null; // <<< FIX APPLIED HERE (Ensured it starts null)
-        this.frameTextureUrl = null; // Store URL if loaded from file
-
-        // Content
-        this.jsCode = config.initialJsCode || `// Default code\nctx.fillStyle='rgb(0, 50, 70)';\nctx.fillRect(0,0,canvas.width,canvas.height);\nctx.fillStyle='white';\nctx.font='20px sans-serif';\nctx.textAlign='center';\nctx.fillText('${this.title}', canvas.width/2, canvas.height/2);`;
+        // ?? so saved layouts can restore legitimate zero values
+        this.cornerRadius = config.cornerRadius ?? 0.1;
+        this.bevelSize = config.bevelSize ?? 0.02;
+        this.screenOpacity = config.screenOpacity ?? 1.0;
+        this.frameMaterial = null; // Caps (back region), created in _createMesh
+        this.edgeMaterial = null; // Bevel and side walls (edge region)
+        this.frameTextures = normalizeFrameTextures(config.frameTextures, config.frameTextureUrl); // region -> mapping | null
+        this.regionTextures = {}; // region -> loaded THREE.Texture with the mapping applied
+        this.textureLoadId = 0; // Drops stale loads when mappings change mid-flight
+        // Panel-scoped theme tokens this panel sets itself; everything else follows the active theme
+        this.themeOverrides = Object.fromEntries(Object.entries(config.themeOverrides || {}).filter(([key]) => PANEL_THEME_TOKENS[key]));
+        this.scriptThemeKey = null; // Tokens the running script last got (JSON), see applyTheme
+
+        // Content: a panel type (see PanelTypes.js) plus its options generate the script.
+        // Plain initialJsCode (older callers) is a customJs panel with that code.
+        this.type = config.type || DEFAULT_PANEL_TYPE;
+        this.typeOptions = resolvePanelOptions(this.type, config.options || (config.initialJsCode ? { code: config.initialJsCode } : {}));
+        this.jsCode = createPanelScript(this.type, this.typeOptions, { title: this.title });
         this.canvas = document.createElement('canvas');
         this.ctx = this.canvas.getContext('2d');
         this.canvasTexture = new THREE.CanvasTexture(this.canvas);
         this.canvasTexture.colorSpace = THREE.SRGBColorSpace;
+        this.canvasTexture.anisotropy = this.panelManager.maxAnisotropy; // Mipmaps are on by default
+        // Script canvas size in CSS pixels plus backing store pixels per CSS pixel (see updateCanvasResolution).
+        // Until the first layout the browser's default canvas size is used.
+        this.canvasCssWidth = this.canvas.width;
+        this.canvasCssHeight = this.canvas.height;
+        this.canvasPixelRatio = 1;
+        // User code runs in a worker and never touches this canvas directly
+        this.busSubscriptions = new Map(); // Worker subscription id -> unsubscribe from PanelManager.bus
+        this.dataSourceUses = new Map(); // Worker subscription id -> data source name
+        this.statusIndicatorMesh = null;
+        this.dataStatus = null; // Worst status of the sources this panel uses, null if none
+        this.dataStatusText = ''; // Per-source details, shown as tooltip on the status dot
+        this.headerButtonMeshes = []; // Right end of the header, left of the gear (see _createHeaderButtons)
+        this.hoveredHeaderButton = null;
+        this.scriptHeaderActions = new Map(); // Worker subscription id -> { icon, tooltip } from panel.addHeaderAction
+        this.sandbox = new PanelSandbox(this, { timeoutMs: config.scriptTimeoutMs });
+        this.scriptError = null; // Last error message from the sandbox, if any
+        this.consoleEntries = []; // { level, text, line, time } from the running script, see onScriptConsole
+        this.consoleListeners = new Set(); // (entries) => void, e.g. the code editor's console pane
+        this.targetFps = config.targetFps ?? DEFAULT_TARGET_FPS; // 0 pauses animated scripts
+        this.timeSinceLastDraw = 0;
 
         // State
         this.isDragging = false;
         this.isResizing = false;
+        this.isFocused = false; // Receives keyboard input (see PanelManager.focusPanel)
+        this.isSelected = false; // Part of PanelManager.selection, shown by selectionOutlineMesh
         this.targetPosition = new THREE.Vector3();
         this.targetQuaternion = new THREE.Quaternion();
         this.currentWidth = 0; // Store current world dimensions
@@ -63,11 +279,717 @@ export class Panel {
         this.footerHandleMesh = null;
         this.leftResizeHandleMesh = null;
         this.rightResizeHandleMesh = null;
+        this.cornerHandleMeshes = []; // Bottom-left / bottom-right diagonal resize handles
+        this.selectionOutlineMesh = null; // Ring just outside the frame, visible while selected
 
         // Initial placeholder position until first layout
         this.meshGroup.position.set(0, 0, -1000); // Start offscreen
         this.scene.add(this.meshGroup);
-        this.setJsCode(this.jsCode); // Run initial code (might draw on small default canvas)
+        this.runScript(); // Run initial code (might draw on small default canvas)
+        this._loadFrameTextures();
+    }
+
+    // Read by GridLayout: collapsed panels occupy one row and keep heightUnits for restoring
+    get collapsed() {
+        return this.viewState === 'collapsed';
+    }
+
+    // Placement follows from PanelManager.updateLayout
+    setViewState(viewState) {
+        this.viewState = viewState;
+        this._refreshHeaderButtons(); // Maximize/collapse buttons show the way back
+    }
+
+    // Whether the user may drag and resize the panel: not while locked or in view mode
+    get canArrange() {
+        return !this.locked && !this.panelManager.isViewMode;
+    }
+
+    setLocked(locked) {
+        this.locked = locked;
+        this.refreshChrome();
+    }
+
+    // Rebuilds handles, gear and header buttons after a lock or edit/view mode change
+    refreshChrome() {
+        if (this.currentWidth > 0 && !this.sandbox.isDisposed) this._rebuildMesh();
+    }
+
+    // --- Sandboxed Script ---
+
+    // Hand-edited code turns any panel into a customJs panel
+    setScript(code) {
+        this.setType(DEFAULT_PANEL_TYPE, { code });
+    }
+
+    setType(type, options = {}) {
+        this.type = type;
+        this.typeOptions = resolvePanelOptions(type, options);
+        this.jsCode = createPanelScript(type, this.typeOptions, { title: this.title });
+        this.runScript();
+    }
+
+    // Default scripts draw the title and every script sees it as panel.title, so it restarts
+    setTitle(title) {
+        this.title = title;
+        this.jsCode = createPanelScript(this.type, this.typeOptions, { title });
+        if (this.currentWidth > 0) this._rebuildMesh(); // Title mesh is drawn from this.title
+        this.runScript();
+        this.panelManager.requestRender();
+    }
+
+    getTypeState() {
+        return { type: this.type, options: { ...this.typeOptions } };
+    }
+
+    runScript() {
+        this.previewScript(this.jsCode);
+        this.panelManager.notifyScriptRestarted(this); // Ends any live preview of the code editor
+    }
+
+    // Runs code without making it the panel's code (editor live preview); runScript goes back
+    previewScript(code) {
+        this.scriptThemeKey = JSON.stringify(this.getThemeTokens());
+        this.clearConsole(); // Each run starts with a fresh console, like a page reload
+        const runnable = this.panelManager.scriptsEnabled ? code : HELD_SCRIPT;
+        this.sandbox.run(runnable, this.canvasCssWidth, this.canvasCssHeight, this.canvasPixelRatio);
+    }
+
+    // PanelManager.runHeldScripts: the code and frame textures skipped while scripts were held
+    runHeldContent() {
+        this.runScript();
+        this._loadFrameTextures();
+    }
+
+    // Called every frame by PanelManager.updateScripts; only animated scripts are ticked
+    tickScript(deltaTime) {
+        if (!this.sandbox.isAnimated || this.targetFps <= 0) return;
+        this.timeSinceLastDraw += deltaTime;
+        if (this.timeSinceLastDraw < 1 / this.targetFps) return;
+        if (this.sandbox.tick(performance.now() / 1000, this.timeSinceLastDraw)) {
+            this.timeSinceLastDraw = 0;
+        }
+    }
+
+    // Seconds until tickScript has a frame due, Infinity for static or paused scripts
+    getTimeUntilNextDraw() {
+        if (!this.sandbox.isAnimated || this.targetFps <= 0) return Infinity;
+        return Math.max(0, 1 / this.targetFps - this.timeSinceLastDraw);
+    }
+
+    setTargetFps(fps) {
+        this.targetFps = Math.max(0, fps);
+        this.timeSinceLastDraw = 0;
+    }
+
+    // Called by PanelSandbox with the worker's finished frame
+    presentFrame(bitmap) {
+        this.scriptError = null;
+        this.ctx.fillStyle = this.getThemeToken('screenBackground'); // Shows through wherever the script left the canvas transparent
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.drawImage(bitmap, 0, 0, this.canvas.width, this.canvas.height);
+        bitmap.close();
+        this.canvasTexture.needsUpdate = true;
+        this.panelManager.requestRender();
+    }
+
+    // line: 1-based line in the script, null if unknown (syntax errors, timeouts)
+    onScriptError(message, line = null) {
+        console.error(`Panel ${this.id}: Script error${line ? ` on line ${line}` : ''} - ${message}`);
+        this.scriptError = message;
+        this._addConsoleEntry({ level: 'error', text: message, line });
+        // Over the last good frame, so a live-preview typo doesn't blank the panel
+        const width = this.canvasCssWidth;
+        const height = this.canvasCssHeight;
+        this.ctx.setTransform(this.canvasPixelRatio, 0, 0, this.canvasPixelRatio, 0, 0);
+        this.ctx.fillStyle = 'rgba(70, 0, 0, 0.8)';
+        this.ctx.fillRect(0, 0, width, height);
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = '14px sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(line ? `Script error on line ${line}` : 'Script error', width / 2, height / 2 - 10);
+        this.ctx.fillText(message, width / 2, height / 2 + 10, width - 20);
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0); // presentFrame draws in backing store pixels
+        this.canvasTexture.needsUpdate = true;
+        this.panelManager.requestRender();
+    }
+
+    // --- Script Console ---
+
+    // console.* / panel.log() output posted by the worker
+    onScriptConsole({ level, text, line }) {
+        this._addConsoleEntry({ level, text, line });
+    }
+
+    _addConsoleEntry({ level, text, line = null }) {
+        this.consoleEntries.push({ level, text, line, time: Date.now() });
+        if (this.consoleEntries.length > MAX_CONSOLE_ENTRIES) this.consoleEntries.shift();
+        this.consoleListeners.forEach(listener => listener(this.consoleEntries));
+    }
+
+    getConsoleEntries() {
+        return this.consoleEntries;
+    }
+
+    clearConsole() {
+        if (this.consoleEntries.length === 0) return;
+        this.consoleEntries = [];
+        this.consoleListeners.forEach(listener => listener(this.consoleEntries));
+    }
+
+    onConsoleChange(listener) {
+        this.consoleListeners.add(listener);
+        return () => this.consoleListeners.delete(listener);
+    }
+
+    // --- Screen Input ---
+
+    // World-space point on (or in the plane of) the screen -> canvas coordinates (CSS pixels, as scripts draw).
+    // Points outside the screen give out-of-range values, which captured drags rely on.
+    worldToCanvas(worldPoint) {
+        if (!this.screenMesh) return null;
+        const geometry = this.screenMesh.geometry;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const { min, max } = geometry.boundingBox;
+        const local = this.screenMesh.worldToLocal(worldPoint.clone());
+        const u = (local.x - min.x) / (max.x - min.x);
+        const v = (max.y - local.y) / (max.y - min.y); // Canvas y grows downwards
+        return { x: u * this.canvasCssWidth, y: v * this.canvasCssHeight };
+    }
+
+    // --- Canvas Resolution ---
+
+    _getScreenWorldSize() {
+        const geometry = this.screenMesh?.geometry;
+        if (!geometry) return null;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const { min, max } = geometry.boundingBox;
+        return { width: max.x - min.x, height: max.y - min.y };
+    }
+
+    // Sizes the screen canvas to the screen's on-screen footprint: CSS pixels at 100% zoom (so a
+    // script's layout doesn't change with zoom) times the pixel ratio from PanelManager.getCanvasResolution.
+    // Called after geometry rebuilds and, by PanelManager, after zooming or a device pixel ratio change.
+    updateCanvasResolution() {
+        const screen = this._getScreenWorldSize();
+        if (!screen || this.collapsed) return; // Keeps its resolution (and script layout) until expanded
+        const { cssPixelsPerWorldUnit, pixelRatio, maxTextureSize } = this.panelManager.getCanvasResolution();
+        const cssWidth = Math.max(1, Math.round(screen.width * cssPixelsPerWorldUnit));
+        const cssHeight = Math.max(1, Math.round(screen.height * cssPixelsPerWorldUnit));
+        // The texture size cap wins over the requested ratio; large panels get a lower one
+        const ratio = Math.round(Math.min(pixelRatio, maxTextureSize / Math.max(cssWidth, cssHeight)) * 100) / 100;
+        if (cssWidth === this.canvasCssWidth && cssHeight === this.canvasCssHeight && ratio === this.canvasPixelRatio) return;
+
+        debug(`Panel ${this.id}: Canvas ${cssWidth}x${cssHeight} CSS px at ${ratio}x`);
+        this.canvasCssWidth = cssWidth;
+        this.canvasCssHeight = cssHeight;
+        this.canvasPixelRatio = ratio;
+        this.canvas.width = Math.max(1, Math.round(cssWidth * ratio));
+        this.canvas.height = Math.max(1, Math.round(cssHeight * ratio));
+        this.ctx.fillStyle = this.getThemeToken('screenBackground'); // Until the script's next frame arrives
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.canvasTexture.dispose(); // GPU storage is allocated per size, so a new one is needed
+        this.canvasTexture.needsUpdate = true;
+        this.sandbox.resize(cssWidth, cssHeight, ratio); // resize() hook, or a full re-run for plain scripts
+        this.panelManager.requestRender();
+    }
+
+    acceptsInput() {
+        return this.sandbox.acceptsInput;
+    }
+
+    sendInput(event) {
+        this.sandbox.input(event);
+    }
+
+    setSelected(selected) {
+        if (this.isSelected === selected) return;
+        this.isSelected = selected;
+        if (this.selectionOutlineMesh) this.selectionOutlineMesh.visible = selected;
+        this.panelManager.requestRender();
+    }
+
+    setFocused(focused) {
+        if (this.isFocused === focused) return;
+        this.isFocused = focused;
+        [this.frameMaterial, this.edgeMaterial].forEach(material => {
+            material?.emissive.setHex(focused ? 0x224466 : 0x000000); // Subtle glow on the focused panel
+        });
+        this.panelManager.requestRender();
+        this.sendInput({ type: focused ? 'focus' : 'blur' });
+    }
+
+    // --- Message Bus / Shared State ---
+
+    getSharedState() {
+        return this.panelManager.bus.getStateSnapshot();
+    }
+
+    // Requests the sandboxed script makes through panel.publish/subscribe/setState
+    onBusRequest(request) {
+        const bus = this.panelManager.bus;
+        switch (request.action) {
+            case 'publish':
+                bus.publish(request.topic, request.data, this.id);
+                break;
+            case 'subscribe':
+                this.busSubscriptions.set(request.subscriptionId, bus.subscribe(request.pattern, (data, topic, sourceId) => {
+                    this.sandbox.deliver(request.subscriptionId, topic, data, sourceId);
+                }));
+                break;
+            case 'unsubscribe':
+                this.busSubscriptions.get(request.subscriptionId)?.();
+                this.busSubscriptions.delete(request.subscriptionId);
+                break;
+            case 'useData': {
+                const { subscriptionId, pattern: name } = request;
+                const consumerKey = `${this.id}:${subscriptionId}`;
+                const unsubscribe = bus.subscribe(`data.${name}`, (payload, topic) => {
+                    this.sandbox.deliver(subscriptionId, topic, payload);
+                });
+                const lastPayload = this.panelManager.dataSources.acquire(name, consumerKey);
+                this.dataSourceUses.set(subscriptionId, name);
+                this.busSubscriptions.set(subscriptionId, () => {
+                    unsubscribe();
+                    this.panelManager.dataSources.release(name, consumerKey);
+                    this.dataSourceUses.delete(subscriptionId);
+                    this.refreshDataStatus();
+                });
+                if (lastPayload) this.sandbox.deliver(subscriptionId, `data.${name}`, lastPayload);
+                this.refreshDataStatus();
+                break;
+            }
+            case 'setState':
+                bus.setState(request.key, request.value, { persist: request.persist }, this.id);
+                break;
+            case 'loadImage':
+                this._loadImageForScript(request.subscriptionId, request.pattern);
+                break;
+            case 'headerAction': {
+                const { subscriptionId, pattern: { icon, tooltip } } = request;
+                this.scriptHeaderActions.set(subscriptionId, { icon, tooltip });
+                this.busSubscriptions.set(subscriptionId, () => {
+                    if (this.scriptHeaderActions.delete(subscriptionId)) this._refreshHeaderButtons();
+                });
+                this._refreshHeaderButtons();
+                break;
+            }
+            default:
+                console.warn(`Panel ${this.id}: Unknown bus request "${request.action}"`);
+        }
+    }
+
+    // One-shot: delivers { bitmap } or { error } unless the script was reloaded meanwhile.
+    // Scripts may come from share links, so the fetch never sends cookies and only accepts images
+    async _loadImageForScript(subscriptionId, url) {
+        let cancelled = false;
+        this.busSubscriptions.set(subscriptionId, () => { cancelled = true; });
+        let result;
+        try {
+            const resolved = new URL(url, window.location.href);
+            if (!SCRIPT_IMAGE_PROTOCOLS.includes(resolved.protocol)) throw new Error(`Unsupported image URL scheme "${resolved.protocol}"`);
+            const response = await fetch(resolved, { credentials: 'omit', mode: 'cors' });
+            if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            const blob = await response.blob();
+            if (!blob.type.startsWith('image/')) throw new Error(`Not an image (${blob.type || 'unknown content type'})`);
+            result = { bitmap: await createImageBitmap(blob) };
+        } catch (error) {
+            result = { error: error.message };
+        }
+        if (cancelled) {
+            result.bitmap?.close();
+            return;
+        }
+        this.busSubscriptions.delete(subscriptionId);
+        this.sandbox.deliver(subscriptionId, 'image', result);
+    }
+
+    usesDataSource(name) {
+        return [...this.dataSourceUses.values()].includes(name);
+    }
+
+    // Recolors (or hides) the header status dot from the current state of the panel's sources
+    refreshDataStatus() {
+        const dataSources = this.panelManager.dataSources;
+        const names = [...new Set(this.dataSourceUses.values())];
+        let worst = null;
+        names.forEach(name => {
+            const status = dataSources.getStatus(name);
+            if (worst === null || DATA_STATUS_SEVERITY.indexOf(status) > DATA_STATUS_SEVERITY.indexOf(worst)) worst = status;
+        });
+        this.dataStatus = worst;
+        this.dataStatusText = names.map(name => {
+            const error = dataSources.getError(name);
+            return `${name}: ${dataSources.getStatus(name)}${error ? ` (${error})` : ''}`;
+        }).join('\n');
+
+        if (!this.statusIndicatorMesh) return;
+        this.statusIndicatorMesh.visible = worst !== null;
+        if (worst) this.statusIndicatorMesh.material.color.setHex(DATA_STATUS_COLORS[worst]);
+        this.panelManager.requestRender();
+    }
+
+    // On every (re)load of the script, including the worker's own re-runs on resize: the old
+    // subscriptions, data source uses and header buttons all belong to ids the script no longer has
+    clearBusSubscriptions() {
+        const hadHeaderActions = this.scriptHeaderActions.size > 0;
+        this.scriptHeaderActions.clear(); // All at once, so the header is rebuilt once below
+        this.busSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.busSubscriptions.clear();
+        if (hadHeaderActions) this._refreshHeaderButtons();
+    }
+
+    stopScript() {
+        this.sandbox.dispose();
+    }
+
+    // --- Persistence ---
+
+    // Plain config object; feeding it back into PanelManager.addPanel recreates this panel
+    toJSON() {
+        return {
+            id: this.id,
+            title: this.title,
+            gridX: this.gridX,
+            gridY: this.gridY,
+            widthUnits: this.widthUnits,
+            heightUnits: this.heightUnits,
+            viewState: this.viewState,
+            locked: this.locked,
+            themeOverrides: { ...this.themeOverrides },
+            layouts: JSON.parse(JSON.stringify(this.layouts)),
+            cornerRadius: this.cornerRadius,
+            bevelSize: this.bevelSize,
+            screenOpacity: this.screenOpacity,
+            type: this.type,
+            options: { ...this.typeOptions },
+            targetFps: this.targetFps,
+            frameTextures: this.getFrameTextures()
+        };
+    }
+
+    // --- Frame Textures ---
+
+    getFrameTextures() {
+        return Object.fromEntries(FRAME_TEXTURE_REGIONS.map(region => [
+            region,
+            this.frameTextures[region] ? { ...this.frameTextures[region] } : null
+        ]));
+    }
+
+    setFrameTextures(frameTextures) {
+        this.frameTextures = normalizeFrameTextures(frameTextures);
+        this._loadFrameTextures();
+    }
+
+    // Older API: one image over the whole frame
+    setFrameTextureUrl(url) {
+        this.setFrameTextures(normalizeFrameTextures(null, url));
+    }
+
+    async _loadFrameTextures() {
+        const loadId = ++this.textureLoadId;
+        const loaded = {};
+        await Promise.all(FRAME_TEXTURE_REGIONS.map(async (region) => {
+            const mapping = this.frameTextures[region];
+            if (!mapping || !this.panelManager.scriptsEnabled) return; // Sources may be arbitrary URLs
+            try {
+                const baseTexture = await loadSourceTexture(mapping.source, this.panelManager.assets);
+                loaded[region] = createMappedTexture(baseTexture, mapping, this.panelManager.maxAnisotropy);
+            } catch (error) {
+                console.error(`Panel ${this.id}: Failed to load ${region} texture "${mapping.source}"`, error);
+            }
+        }));
+        if (loadId !== this.textureLoadId) { // Superseded while loading
+            Object.values(loaded).forEach(texture => texture.dispose());
+            return;
+        }
+        Object.values(this.regionTextures).forEach(texture => texture.dispose());
+        this.regionTextures = loaded;
+        this._applyThemeToMeshes();
+        this.panelManager.requestRender();
+    }
+
+    // --- Appearance ---
+
+    // Snapshot for undo
+    getAppearance() {
+        return {
+            cornerRadius: this.cornerRadius,
+            bevelSize: this.bevelSize,
+            screenOpacity: this.screenOpacity,
+            targetFps: this.targetFps,
+            frameTextures: this.getFrameTextures()
+        };
+    }
+
+    setAppearance(appearance) {
+        this.cornerRadius = appearance.cornerRadius;
+        this.bevelSize = appearance.bevelSize;
+        this.screenOpacity = appearance.screenOpacity;
+        this.setTargetFps(appearance.targetFps);
+        if (JSON.stringify(appearance.frameTextures) !== JSON.stringify(this.getFrameTextures())) {
+            this.setFrameTextures(appearance.frameTextures);
+        }
+        if (this.currentWidth > 0) this._rebuildMesh();
+    }
+
+    _rebuildMesh() {
+        this._createMesh(this.currentWidth, this.currentHeight);
+        this._createCornerHandles(this.currentWidth, this.currentHeight);
+        this._createStatusIndicator(this.currentWidth, this.currentHeight);
+        this._createHeaderButtons(this.currentWidth, this.currentHeight);
+        this._createSelectionOutline(this.currentWidth, this.currentHeight);
+        // Collapsed panels are only a header strip
+        if (this.screenMesh) this.screenMesh.visible = !this.collapsed;
+        this.cornerHandleMeshes.forEach(mesh => { mesh.visible = !this.collapsed; });
+        // The meshes were just recreated, so this only ever hides them
+        if (this.gearIconMesh && this.panelManager.isViewMode) this.gearIconMesh.visible = false;
+        if (!this.canArrange) this._getArrangeHandles().forEach(mesh => { mesh.visible = false; });
+        this._applyThemeToMeshes();
+    }
+
+    // --- Theme ---
+
+    getThemeToken(key) {
+        return this.themeOverrides[key] ?? this.panelManager.themes.getToken(key);
+    }
+
+    // Resolved panel-scoped tokens; scripts get them as panel.theme
+    getThemeTokens() {
+        return Object.fromEntries(Object.keys(PANEL_THEME_TOKENS).map(key => [key, this.getThemeToken(key)]));
+    }
+
+    setThemeOverrides(overrides) {
+        this.themeOverrides = Object.fromEntries(Object.entries(overrides).filter(([key]) => PANEL_THEME_TOKENS[key]));
+        this.applyTheme();
+    }
+
+    // Called on theme switches and override changes
+    applyTheme() {
+        this._applyThemeToMeshes();
+        this.panelManager.requestRender();
+        // The running script gets the new panel.theme and redraws; its state and data sources are kept
+        const themeKey = JSON.stringify(this.getThemeTokens());
+        if (themeKey === this.scriptThemeKey) return;
+        this.scriptThemeKey = themeKey;
+        this.sandbox.setTheme(this.getThemeTokens());
+    }
+
+    _applyThemeToMeshes() {
+        const opacity = this.getThemeToken('frameOpacity');
+        [this.frameMaterial, this.edgeMaterial].forEach(material => {
+            if (!material) return;
+            material.roughness = this.getThemeToken('frameRoughness');
+            material.metalness = this.getThemeToken('frameMetalness');
+            material.opacity = opacity;
+            material.transparent = opacity < 1;
+            material.depthWrite = opacity >= 1;
+            material.needsUpdate = true;
+        });
+        this._applyRegionTexture(this.frameMaterial, 'back', 'frameColor');
+        this._applyRegionTexture(this.edgeMaterial, 'edge', 'frameColor');
+        this._applyRegionTexture(this.headerMesh?.material, 'header', 'headerColor');
+        if (this.titleMesh?.material?.color) this.titleMesh.material.color.set(this.getThemeToken('titleColor'));
+        this._applyTitleFont();
+        const chromeColor = this.panelManager.themes.getToken('chromeColor'); // Same as the shared gear material
+        this.headerButtonMeshes.forEach(mesh => mesh.material.color.set(chromeColor));
+    }
+
+    // Redraws the title mesh's texture when the title, the titleFont token or the mesh size changed
+    _applyTitleFont() {
+        const material = this.titleMesh?.material;
+        if (!material) return;
+        const geometry = this.titleMesh.geometry;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const size = geometry.boundingBox.getSize(new THREE.Vector3());
+        const texture = getTitleTexture(this.title, this.getThemeToken('titleFont'), size.y > 0 ? size.x / size.y : 1);
+        if (material.map === texture) return;
+        material.map = texture;
+        material.transparent = true;
+        material.needsUpdate = true;
+    }
+
+    // Textured regions take the mapping's tint instead of the theme color
+    _applyRegionTexture(material, region, colorToken) {
+        if (!material?.color) return;
+        const texture = this.regionTextures[region] || null;
+        if (material.map !== texture) {
+            material.map = texture;
+            material.needsUpdate = true;
+        }
+        material.color.set(texture ? this.frameTextures[region].tint : this.getThemeToken(colorToken));
+    }
+
+    _createStatusIndicator(width, height) {
+        if (this.statusIndicatorMesh) {
+            this.meshGroup.remove(this.statusIndicatorMesh);
+            this.statusIndicatorMesh.geometry.dispose();
+        }
+        const material = this.statusIndicatorMesh?.material
+            || new THREE.MeshBasicMaterial({ color: DATA_STATUS_COLORS.loading });
+        const headerH = this.gridCellWidth / 2;
+        const radius = this.gridCellWidth * STATUS_INDICATOR_SIZE;
+
+        this.statusIndicatorMesh = new THREE.Mesh(new THREE.CircleGeometry(radius, 16), material);
+        this.statusIndicatorMesh.name = `panelStatus_${this.id}`;
+        // Left end of the header, in front of the frame
+        this.statusIndicatorMesh.position.set(-width / 2 + headerH / 2, height / 2 - headerH / 2, DEFAULT_PANEL_DEPTH / 2 + 0.02);
+        this.meshGroup.add(this.statusIndicatorMesh);
+        this.refreshDataStatus();
+    }
+
+    // --- Header Buttons ---
+
+    // Built-in buttons from PanelManager.getHeaderButtons (rightmost first), then the script's own
+    // actions, laid out leftwards from the gear. Buttons that would reach into the left half of the
+    // header (and the title) are left out on narrow panels.
+    _createHeaderButtons(width, height) {
+        this.headerButtonMeshes.forEach(mesh => {
+            this.meshGroup.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.hoveredHeaderButton = null;
+
+        const headerH = this.gridCellWidth / 2;
+        const size = this.gridCellWidth * HEADER_BUTTON_SIZE;
+        const pitch = size + this.gridCellWidth * HEADER_BUTTON_GAP;
+        const firstX = width / 2 - headerH - pitch / 2; // The gear takes the last headerH of the header
+        const buttons = [
+            ...this.panelManager.getHeaderButtons(this),
+            ...[...this.scriptHeaderActions].map(([subscriptionId, { icon, tooltip }]) => ({ name: `script${subscriptionId}`, icon, tooltip, subscriptionId }))
+        ].slice(0, Math.max(0, Math.floor((firstX + pitch / 2) / pitch)));
+
+        const chromeColor = this.panelManager.themes.getToken('chromeColor');
+        this.headerButtonMeshes = buttons.map((button, index) => {
+            const material = new THREE.MeshBasicMaterial({
+                map: getHeaderIconTexture(button.icon), color: chromeColor,
+                transparent: true, opacity: HEADER_BUTTON_OPACITY, depthWrite: false
+            });
+            const mesh = new THREE.Mesh(new THREE.PlaneGeometry(size, size), material);
+            mesh.name = `panelButton_${button.name}_${this.id}`;
+            mesh.userData.button = button; // Read back by PanelManager on click/hover
+            // In front of the header handle so clicks reach the button instead of starting a drag
+            mesh.position.set(firstX - index * pitch, height / 2 - headerH / 2, DEFAULT_PANEL_DEPTH / 2 + 0.02);
+            this.meshGroup.add(mesh);
+            return mesh;
+        });
+    }
+
+    _refreshHeaderButtons() {
+        if (!this.currentWidth || this.sandbox.isDisposed) return; // Created with the first layout / panel going away
+        this._createHeaderButtons(this.currentWidth, this.currentHeight);
+        this.panelManager.requestRender();
+    }
+
+    // Hover state: brighter and slightly larger
+    setHoveredHeaderButton(mesh) {
+        if (this.hoveredHeaderButton === mesh) return;
+        [this.hoveredHeaderButton, mesh].forEach(button => {
+            if (!button) return;
+            const hovered = button === mesh;
+            button.material.opacity = hovered ? 1 : HEADER_BUTTON_OPACITY;
+            button.scale.setScalar(hovered ? 1.15 : 1);
+        });
+        this.hoveredHeaderButton = mesh;
+        this.panelManager.requestRender();
+    }
+
+    // Clicked button added by the script's panel.addHeaderAction
+    triggerHeaderAction(subscriptionId) {
+        if (this.scriptHeaderActions.has(subscriptionId)) this.sandbox.deliver(subscriptionId, 'headerAction', null);
+    }
+
+    // World-space box of the title (the header strip between status dot and buttons if the title
+    // mesh is missing); the inline rename editor is placed over it
+    getTitleBounds(target = new THREE.Box3()) {
+        if (this.titleMesh) return target.setFromObject(this.titleMesh);
+        const headerH = this.gridCellWidth / 2;
+        const left = -this.currentWidth / 2 + headerH;
+        const right = this.currentWidth / 2 - headerH * (1 + this.headerButtonMeshes.length);
+        target.min.set(left, this.currentHeight / 2 - headerH, 0);
+        target.max.set(Math.max(left, right), this.currentHeight / 2, 0);
+        return target.applyMatrix4(this.meshGroup.matrixWorld);
+    }
+
+    // Loose world-space box around getInteractionObjects(), so PanelManager can skip panels the
+    // pointer ray misses without testing their meshes. Null while the panel is rotated
+    // (dashboard transitions); callers then test the meshes directly.
+    getInteractionBounds(target = new THREE.Box3()) {
+        const group = this.meshGroup;
+        if (!this.currentWidth || Math.abs(group.quaternion.w) < 0.9999) return null;
+        const margin = this.gridCellWidth * INTERACTION_BOUNDS_MARGIN;
+        const halfWidth = this.currentWidth * group.scale.x / 2 + margin;
+        const halfHeight = this.currentHeight * group.scale.y / 2 + margin;
+        const { x, y, z } = group.position;
+        target.min.set(x - halfWidth, y - halfHeight, z - margin);
+        target.max.set(x + halfWidth, y + halfHeight, z + margin);
+        return target;
+    }
+
+    // Still easing towards its layout slot or jiggle pose (see PanelManager.update)
+    isAtRest() {
+        return this.meshGroup.position.distanceToSquared(this.targetPosition) < 1e-6 &&
+            this.meshGroup.quaternion.angleTo(this.targetQuaternion) < 1e-3;
+    }
+
+    // Drag and resize handles, hidden and not raycast unless canArrange
+    _getArrangeHandles() {
+        return [this.headerHandleMesh, this.footerHandleMesh, this.leftResizeHandleMesh, this.rightResizeHandleMesh, ...this.cornerHandleMeshes]
+            .filter(Boolean);
+    }
+
+    // Everything PanelManager raycasts against for hover/drag/resize
+    getInteractionObjects() {
+        const hidden = new Set(this.canArrange ? [] : this._getArrangeHandles());
+        if (this.panelManager.isViewMode) hidden.add(this.gearIconMesh);
+        const objects = [...this.getRaycastObjects(), ...this.headerButtonMeshes].filter(object => !hidden.has(object));
+        if (!this.collapsed && this.canArrange) objects.push(...this.cornerHandleMeshes);
+        if (this.statusIndicatorMesh?.visible) objects.push(this.statusIndicatorMesh);
+        return objects;
+    }
+
+    // Not raycast: the outline only shows the selection
+    _createSelectionOutline(width, height) {
+        if (this.selectionOutlineMesh) {
+            this.meshGroup.remove(this.selectionOutlineMesh);
+            this.selectionOutlineMesh.geometry.dispose();
+        }
+        const gap = this.gridCellWidth * SELECTION_OUTLINE_WIDTH; // Clear of the bevel
+        const outerX = width / 2 + gap * 2;
+        const outerY = height / 2 + gap * 2;
+        const outline = new THREE.Shape();
+        outline.moveTo(-outerX, -outerY); outline.lineTo(outerX, -outerY); outline.lineTo(outerX, outerY); outline.lineTo(-outerX, outerY);
+        const hole = new THREE.Path();
+        hole.moveTo(-width / 2 - gap, -height / 2 - gap); hole.lineTo(-width / 2 - gap, height / 2 + gap);
+        hole.lineTo(width / 2 + gap, height / 2 + gap); hole.lineTo(width / 2 + gap, -height / 2 - gap);
+        outline.holes.push(hole);
+
+        this.selectionOutlineMesh = new THREE.Mesh(new THREE.ShapeGeometry(outline), selectionOutlineMaterial);
+        this.selectionOutlineMesh.name = `panelSelection_${this.id}`;
+        this.selectionOutlineMesh.visible = this.isSelected;
+        this.meshGroup.add(this.selectionOutlineMesh);
+    }
+
+    _createCornerHandles(width, height) {
+        this.cornerHandleMeshes.forEach(mesh => {
+            this.meshGroup.remove(mesh);
+            mesh.geometry.dispose();
+        });
+
+        const size = this.gridCellWidth * CORNER_HANDLE_SIZE;
+        const z = DEFAULT_PANEL_DEPTH / 2 + 0.02; // In front of the frame and footer handle so it wins the raycast
+        this.cornerHandleMeshes = [
+            { name: 'BottomLeft', x: -width / 2 + size / 2 },
+            { name: 'BottomRight', x: width / 2 - size / 2 }
+        ].map(({ name, x }) => {
+            const mesh = new THREE.Mesh(new THREE.PlaneGeometry(size, size), cornerHandleMaterial);
+            mesh.name = `panelHandle_${name}_${this.id}`;
+            mesh.position.set(x, -height / 2 + size / 2, z);
+            this.meshGroup.add(mesh);
+            return mesh;
+        });
     }
 
     // NEW: Central method called by PanelManager.updateLayout
@@ -76,11 +998,11 @@ export class Panel {
         const sizeChanged = Math.abs(newWidth - this.currentWidth) > 0.01 || Math.abs(newHeight - this.currentHeight) > 0.01;
 
         if (sizeChanged) {
-            console.log(`Panel ${this.id}: Recreating mesh for size <span class="math-inline">\{newWidth\.toFixed\(2\)\}x</span>{newHeight.toFixed(2)}`);
+            debug(`Panel ${this.id}: Recreating mesh for size ${newWidth.toFixed(2)}x${newHeight.toFixed(2)}`);
             this.currentWidth = newWidth;
             this.currentHeight = newHeight;
-            this._createMesh(newWidth, newHeight); // Rebuild geometry with new dimensions
-            this.runJsCode(); // Rerun JS code as canvas size might have changed
+            this._rebuildMesh(); // Rebuild geometry with new dimensions
+            this.updateCanvasResolution(); // Canvas follows the new screen size
         }
 
         // Always update position and target position
@@ -107,7 +1029,7 @@ export class Panel {
         const headerH = Math.max(0.01, this.gridCellWidth / 2);
         const screenH = Math.max(0.01, height - headerH); // Remaining height for screen
 
-        console.log(`Panel <span class="math-inline">\{this\.id\} \_createMesh\: W\=</span>{width.toFixed(2)}, H=<span class="math-inline">\{height\.toFixed\(2\)\}, HeaderH\=</span>{headerH.toFixed(2)}, ScreenH=${screenH.toFixed(2)}`);
+        debug(`Panel ${this.id} _createMesh: W=${width.toFixed(2)}, H=${height.toFixed(2)}, HeaderH=${headerH.toFixed(2)}, ScreenH=${screenH.toFixed(2)}`);
 
 
         // 1. Create Rounded Rectangle Shape (using final dimensions)
@@ -139,30 +1061,30 @@ export class Panel {
          }
 
 
-        // 2. Extrude for Frame Geometry
-        const extrudeSettings = {
-            steps: 1, depth: frameDepth, bevelEnabled: true,
-            bevelThickness: Math.min(this.bevelSize * 0.5, radius * 0.5, 0.05), // Limit bevel
-            bevelSize: Math.min(this.bevelSize, radius * 0.5, 0.1),
-            bevelOffset: 0, bevelSegments: 3
-        };
-        const frameGeometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-        frameGeometry.center();
-
-        // 3. Frame Material (Use texture if loaded, otherwise default color)
-        if (!this.frameMaterial) { // Create material only once initially
-             this.frameMaterial = new THREE.MeshStandardMaterial({
-                 color: 0x888888, // Default gray color
-                 map: this.frameTexture, // Use loaded texture if available
-                 roughness: 0.6, metalness: 0.2, side: THREE.DoubleSide
-            });
-        } else { // Update existing material
-             this.frameMaterial.map = this.frameTexture; // Ensure map is up-to-date
-             this.frameMaterial.needsUpdate = true;
+        // 2. Extrude for Frame Geometry (cached by everything that shapes it)
+        const frameKey = [width, height, radius, this.bevelSize].map(value => value.toFixed(4)).join('|');
+        const frameGeometry = getFrameGeometry(frameKey, () => {
+            const extrudeSettings = {
+                steps: 1, depth: frameDepth, bevelEnabled: true,
+                bevelThickness: Math.min(this.bevelSize * 0.5, radius * 0.5, 0.05), // Limit bevel
+                bevelSize: Math.min(this.bevelSize, radius * 0.5, 0.1),
+                bevelOffset: 0, bevelSegments: 3,
+                UVGenerator: createFrameUVGenerator(width, height, frameDepth)
+            };
+            const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+            geometry.center();
+            return geometry;
+        });
+
+        // 3. Frame Materials: ExtrudeGeometry group 0 is the caps, group 1 the bevel and side walls.
+        // Color and region textures are applied by _applyThemeToMeshes.
+        if (!this.frameMaterial) { // Create materials only once initially
+             this.frameMaterial = new THREE.MeshStandardMaterial({ color: this.getThemeToken('frameColor'), side: THREE.DoubleSide });
+             this.edgeMaterial = new THREE.MeshStandardMaterial({ color: this.getThemeToken('frameColor'), side: THREE.DoubleSide });
         }
 
 
-        this.frameMesh = new THREE.Mesh(frameGeometry, this.frameMaterial);
+        this.frameMesh = new THREE.Mesh(frameGeometry, [this.frameMaterial, this.edgeMaterial]);
         this.frameMesh.name = `panelFrame_${this.id}`;
         this.meshGroup.add(this.frameMesh);
 
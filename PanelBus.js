@@ -0,0 +1,82 @@
+// --- Inter-Panel Message Bus & Shared State ---
+// Owned by PanelManager, reachable from panel scripts through the sandboxed `panel` API.
+// Topics are dot-separated ('filter.region'). Patterns may use '*' for exactly one
+// segment and '**' for any number of trailing segments ('filter.*', 'state.**').
+// Every state change is also published on `state.<key>`, which is how watchers work.
+
+export function topicMatches(pattern, topic) {
+    const patternParts = pattern.split('.');
+    const topicParts = topic.split('.');
+    for (let i = 0; i < patternParts.length; i++) {
+        const part = patternParts[i];
+        if (part === '**') return true; // Matches the rest, including nothing
+        if (i >= topicParts.length) return false;
+        if (part !== '*' && part !== topicParts[i]) return false;
+    }
+    return patternParts.length === topicParts.length;
+}
+
+export class PanelBus {
+    constructor() {
+        this.subscriptions = new Map(); // id -> { pattern, callback }
+        this.nextSubscriptionId = 0;
+
+        this.state = new Map();
+        this.persistedKeys = new Set(); // Keys saved with the layout
+        this.stateListeners = new Set(); // (key, value, persist) => void, for PanelManager bookkeeping
+    }
+
+    // callback(data, topic, sourceId); returns an unsubscribe function
+    subscribe(pattern, callback) {
+        const id = this.nextSubscriptionId++;
+        this.subscriptions.set(id, { pattern, callback });
+        return () => this.subscriptions.delete(id);
+    }
+
+    publish(topic, data, sourceId = null) {
+        // Copy first: callbacks may (un)subscribe while we iterate
+        [...this.subscriptions.values()].forEach(({ pattern, callback }) => {
+            if (!topicMatches(pattern, topic)) return;
+            try {
+                callback(data, topic, sourceId);
+            } catch (error) {
+                console.error(`Bus subscriber for "${pattern}" failed on "${topic}":`, error);
+            }
+        });
+    }
+
+    // --- Shared State ---
+
+    getState(key) {
+        return this.state.get(key);
+    }
+
+    setState(key, value, { persist = false } = {}, sourceId = null) {
+        this.state.set(key, value);
+        if (persist) this.persistedKeys.add(key);
+        this.stateListeners.forEach(listener => listener(key, value, this.persistedKeys.has(key)));
+        this.publish(`state.${key}`, value, sourceId);
+    }
+
+    onStateChange(listener) {
+        this.stateListeners.add(listener);
+        return () => this.stateListeners.delete(listener);
+    }
+
+    getStateSnapshot() {
+        return Object.fromEntries(this.state);
+    }
+
+    getPersistedState() {
+        const persisted = {};
+        this.persistedKeys.forEach(key => { persisted[key] = this.state.get(key); });
+        return persisted;
+    }
+
+    // Drops all state (not subscriptions) and loads a saved persisted slice
+    resetState(persisted = {}) {
+        this.state.clear();
+        this.persistedKeys.clear();
+        Object.entries(persisted).forEach(([key, value]) => this.setState(key, value, { persist: true }));
+    }
+}
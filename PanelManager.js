@@ -1,7 +1,66 @@
 import * as THREE from 'three';
-import { Panel } from './Panel.js';
-
-const MAX_PANEL_ROWS = 10; // Limit number of rows
+import { Panel, FRAME_TEXTURE_REGIONS, DEFAULT_TEXTURE_MAPPING, PANEL_VIEW_STATES } from './Panel.js';
+import { LayoutStore, LAYOUT_FORMAT, LAYOUT_SCHEMA_VERSION, migrateLayout } from './LayoutStore.js';
+import { LayoutHistory } from './LayoutHistory.js';
+import { PanelBus } from './PanelBus.js';
+import { DataSourceManager } from './DataSources.js';
+import { CameraController } from './CameraController.js';
+import { GridLayout, gridRect, rowSpan, gridRectsOverlap, compareGridPosition } from './GridLayout.js';
+import { DEFAULT_PANEL_TYPE, getPanelType, getPanelTypes, resolvePanelOptions } from './PanelTypes.js';
+import { renderOptionsForm, readOptionsForm } from './OptionsForm.js';
+import { ThemeManager, PANEL_THEME_TOKENS } from './Themes.js';
+import { AssetLibrary, toAssetRef } from './AssetLibrary.js';
+import { ContextMenu } from './ContextMenu.js';
+import { CodeEditor } from './CodeEditor.js';
+import { debug, info } from './Log.js';
+
+const LAYOUT_TRANSITION_SECONDS = 0.4; // Morph between breakpoint layouts
+const CANVAS_RESOLUTION_DELAY_MS = 250; // Re-rasterize panel screens once zooming pauses
+const MAXIMIZED_PANEL_Z = 1; // In front of the grid (world units), or halfway to the camera if that is closer
+const MAXIMIZED_VIEWPORT_FILL = 0.9; // Share of the viewport a maximized panel covers
+const LIVE_PREVIEW_DELAY_MS = 500; // Code editor live preview re-runs once typing pauses this long
+
+// Per-region texture mapping fields (OptionsForm schema); `source` is added with the library's choices
+const TEXTURE_MAPPING_FIELDS = {
+    repeatX: { type: 'number', label: 'Tiling X', min: 0.1, max: 20, step: 0.1, default: DEFAULT_TEXTURE_MAPPING.repeatX },
+    repeatY: { type: 'number', label: 'Tiling Y', min: 0.1, max: 20, step: 0.1, default: DEFAULT_TEXTURE_MAPPING.repeatY },
+    offsetX: { type: 'number', label: 'Offset X', min: -1, max: 1, step: 0.01, default: DEFAULT_TEXTURE_MAPPING.offsetX },
+    offsetY: { type: 'number', label: 'Offset Y', min: -1, max: 1, step: 0.01, default: DEFAULT_TEXTURE_MAPPING.offsetY },
+    rotation: { type: 'number', label: 'Rotation (degrees)', min: -180, max: 180, step: 1, default: DEFAULT_TEXTURE_MAPPING.rotation },
+    tint: { type: 'color', label: 'Tint', default: DEFAULT_TEXTURE_MAPPING.tint }
+};
+
+// Built-in header buttons; PanelManager.headerButtons picks which ones panels show, rightmost first.
+// Buttons with a viewState toggle it and show activeIcon/activeTooltip while the panel is in it.
+// editOnly buttons are hidden in view mode, lockBlocked ones also on locked panels.
+const HEADER_BUTTONS = {
+    close: { icon: '✕', tooltip: 'Close panel', editOnly: true, lockBlocked: true },
+    duplicate: { icon: '⧉', tooltip: 'Duplicate panel', editOnly: true },
+    maximize: { icon: '⤢', tooltip: 'Maximize panel', viewState: 'maximized', activeIcon: '⤡', activeTooltip: 'Restore panel' },
+    collapse: { icon: '▴', tooltip: 'Collapse to header', viewState: 'collapsed', activeIcon: '▾', activeTooltip: 'Expand panel', editOnly: true, lockBlocked: true },
+    refresh: { icon: '↻', tooltip: 'Restart script' }
+};
+const DEFAULT_HEADER_BUTTONS = ['close', 'maximize', 'collapse', 'duplicate', 'refresh'];
+// Shown first on locked panels in edit mode; clicking it unlocks the panel
+const UNLOCK_HEADER_BUTTON = { name: 'unlock', icon: '🔒', tooltip: 'Locked (click to unlock)' };
+
+// 'edit': the layout can be changed. 'view': for presenting, see setMode
+export const PANEL_MANAGER_MODES = ['edit', 'view'];
+
+// Resize handle mesh name prefix -> edges it moves and its hover cursor
+const RESIZE_HANDLES = {
+    panelHandle_Left_: { left: true, cursor: 'ew-resize' },
+    panelHandle_Right_: { right: true, cursor: 'ew-resize' },
+    panelHandle_Bottom_: { bottom: true, cursor: 'ns-resize' },
+    panelHandle_BottomLeft_: { left: true, bottom: true, cursor: 'nesw-resize' },
+    panelHandle_BottomRight_: { right: true, bottom: true, cursor: 'nwse-resize' }
+};
+
+function getResizeHandle(objectName) {
+    if (!objectName) return null;
+    const prefix = Object.keys(RESIZE_HANDLES).find(key => objectName.startsWith(key));
+    return prefix ? RESIZE_HANDLES[prefix] : null;
+}
 
 export class PanelManager {
     constructor(scene, camera, domElement, initialConfig) {
@@ -14,12 +73,57 @@ export class PanelManager {
         this.panelMap = new Map(); // For quick lookup by ID
         this.nextPanelId = 0;
 
-        // Grid state from config
-        this.gridUnitsX = initialConfig.gridUnitsX || 6;
-        this.gridCellWidth = initialConfig.gridCellWidth || 2.0; // Base width of a 1/6 panel
-        this.gridSpacingPx = initialConfig.gridSpacingPx || 10; // Store initial spacing in pixels
-        this.gridSpacing = 0; // World units, calculated by setSpacing
-        this.gridOrigin = new THREE.Vector3(0, 0, 0); // Center of the grid system
+        // Pub/sub + shared key-value store for panel scripts (see PanelBus)
+        this.bus = new PanelBus();
+        this.bus.onStateChange((key, value, persisted) => {
+            this.panels.forEach(p => p.sandbox.syncState(key, value)); // Keep every worker's mirror current
+            if (persisted) this.notifyLayoutChanged();
+        });
+
+        // Dashboard-level data feeds, started/stopped by panel usage (see DataSources.js)
+        this.dataSources = new DataSourceManager(this.bus);
+        this.dataSources.onStatusChange((name) => {
+            this.panels.forEach(p => { if (p.usesDataSource(name)) p.refreshDataStatus(); });
+        });
+
+        // Named themes / design tokens; panels restyle live on switches
+        // Uploaded images (IndexedDB); panels reference them as asset:<id> texture sources
+        this.assets = new AssetLibrary(initialConfig.assets);
+        this.themes = new ThemeManager(initialConfig.theme);
+        this.themes.onChange(() => {
+            this.panels.forEach(p => p.applyTheme());
+            this.notifyLayoutChanged();
+        });
+
+        // Grid math (placement, reflow, slot lookup) lives in GridLayout; see the grid getters below.
+        // gridCellWidth in the config is the world height of a row (and panel chrome size).
+        this.grid = new GridLayout({
+            columns: initialConfig.gridUnitsX || 6,
+            rowHeight: initialConfig.gridCellWidth || 2.0,
+            collapsedHeight: (initialConfig.gridCellWidth || 2.0) / 2, // Panel header height
+            floatUp: initialConfig.floatUp ?? false
+        });
+
+        // Responsive breakpoints, widest first: [{ name, minWidth (CSS px of the canvas), columns }].
+        // Every column count has its own panel layouts (panel.layouts); columns always share the
+        // same total grid width, so fewer columns means wider panels.
+        this.breakpoints = [...(initialConfig.breakpoints || [{ name: 'default', minWidth: 0, columns: this.gridUnitsX }])]
+            .sort((a, b) => b.minWidth - a.minWidth);
+        this.layoutTransition = null; // { elapsed, from: Map id -> { position, scaleX, scaleY } }
+        this.gridSpacingPx = initialConfig.gridSpacingPx || 10; // Store initial spacing in pixels; world units are set by setSpacing
+        // Spacing pixels are measured at this camera distance (100% zoom), so zooming doesn't reflow the grid
+        this.referenceCameraDistance = initialConfig.referenceCameraDistance || camera.position.z;
+        this.scriptTimeoutMs = initialConfig.scriptTimeoutMs; // Per-run budget for panel scripts (PanelSandbox default if unset)
+        // Panel screen canvases: the pixel ratio cap is the quality/memory trade-off, see getCanvasResolution
+        this.canvasResolution = { maxPixelRatio: 3, maxTextureSize: 2048, ...initialConfig.canvasResolution };
+        this.canvasResolutionTimeout = null;
+        this.maximizedResizeTimeout = null; // See _placeMaximizedPanel
+        this.maxAnisotropy = initialConfig.maxAnisotropy || 1; // renderer.capabilities.getMaxAnisotropy()
+        this.mode = 'edit'; // See setMode
+        this.scriptsEnabled = true; // False for layouts loaded with trusted: false until runHeldScripts
+        this.modeChangeListeners = new Set(); // (mode) => void
+        this.headerButtons = []; // Names from HEADER_BUTTONS, see setHeaderButtons
+        this.setHeaderButtons(initialConfig.headerButtons || DEFAULT_HEADER_BUTTONS);
 
         // Interaction state
         this.raycaster = new THREE.Raycaster();
@@ -32,43 +136,136 @@ export class PanelManager {
         this.resizingPanel = null;
         this.dragOffset = new THREE.Vector3();
         this.initialPanelWidthUnits = 0;
+        this.initialPanelHeightUnits = 0;
         this.initialMouseX = 0;
+        this.initialMouseY = 0;
         this.initialGridX = 0; // Store initial gridX for left resize
+        this.interactionStartLayout = null; // Grid state (see _captureGridState) captured when a drag/resize starts
+        this.dropPreviewSlot = null; // { gridX, gridY } the dragged panel would land in
+
+        // Ghost of the dragged panel's target slot (unit plane, scaled to the panel size)
+        this.dropPreviewMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.15, depthWrite: false })
+        );
+        this.dropPreviewMesh.name = 'dropPreview';
+        this.dropPreviewMesh.position.z = -0.1; // Behind the panels
+        this.dropPreviewMesh.visible = false;
+        this.scene.add(this.dropPreviewMesh);
+
+        // Multi-select: Shift/Ctrl-click toggles panels, dragging on empty space draws a selection box
+        this.selection = new Set(); // Selected panels in selection order; the first is the reference for equalize
+        this.selectionChangeListeners = new Set(); // (panels) => void
+        this.selectionBox = null; // { start, base: panels selected before } while box-selecting
+        this.dragGroup = null; // { leadStart, followers: [{ panel, start }] } while a drag moves several selected panels
+        this.selectionBoxMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({ color: 0x3399ff, transparent: true, opacity: 0.15, depthWrite: false })
+        );
+        this.selectionBoxMesh.name = 'selectionBox';
+        this.selectionBoxMesh.position.z = 0.2; // In front of the panels
+        this.selectionBoxMesh.visible = false;
+        this.scene.add(this.selectionBoxMesh);
 
         this.isMouseDown = false;
         this.jiggleTimeout = null;
 
+        // Screen input forwarded to panel scripts
+        this.focusedPanel = null; // Gets keyboard events
+        this.hoveredScreenPanel = null; // Gets pointermove/pointerleave while hovered
+        this.screenPointerPanel = null; // Pressed on its screen: gets every move until pointerup (capture)
+        this.screenPlane = new THREE.Plane();
+        this.screenPoint = new THREE.Vector3();
+
+        // Inline title rename (see startTitleEdit)
+        this.titleEditor = null; // { panel, input } while editing
+        this.hoveredHeaderButton = null; // Mesh under the pointer, see Panel.setHoveredHeaderButton
+
+        // Right-click menus on panels and empty grid cells (see _onContextMenu)
+        this.contextMenu = new ContextMenu();
+        this.codeClipboard = null; // Last copied panel code, for when the system clipboard can't be read
+
         // UI Refs
         this.settingsPanelElement = document.getElementById('settings-panel');
         this.jsCodePopupElement = document.getElementById('js-code-popup');
+        this.jsConsoleElement = document.getElementById('js-console');
+        this.codeEditor = new CodeEditor(document.getElementById('js-code-input'));
+        this.codeEditor.onChange(() => this._scheduleLivePreview());
+        this.codeEditor.onSubmit(() => this.runJsCodePopup());
+        this.codeEditorSession = null; // { panel, previewed, previewTimeout, consoleFrame, unsubscribe } while the popup is open
+        this.livePreview = false; // Re-run the edited code on the panel as you type (see setLivePreview)
+
+        // Persistence (autosave to localStorage, .panlz.json import/export)
+        this.layoutStore = new LayoutStore(this, initialConfig.persistence);
+        this.isRestoringLayout = false; // Suppresses autosave and history while loadLayout rebuilds panels
+        this.layoutChangeListeners = new Set(); // () => void, e.g. the Workspace autosave
+        this.renderRequestListeners = new Set(); // () => void, the on-demand render loop in main.js
+        this.raycastBounds = new THREE.Box3(); // Scratch box for _getRaycastCandidates
+
+        // Undo/redo (Ctrl+Z / Ctrl+Shift+Z)
+        this.history = new LayoutHistory({ maxEntries: initialConfig.historySize });
 
         this._addEventListeners();
+
+        // Scroll/zoom/pan. Created after our listeners so interactive screens see wheel events first.
+        this.cameraController = new CameraController(camera, domElement);
+        this.cameraController.onChange(() => {
+            this.requestRender();
+            this._scheduleCanvasResolutionUpdate();
+            this._positionTitleEditor(); // Keep the rename field over the title while zooming/panning
+            this._placeMaximizedPanel();
+        });
     }
 
+    // Grid state, read through to the layout core
+    get gridUnitsX() { return this.grid.columns; }
+    get referenceGridUnitsX() { return this.grid.referenceColumns; }
+    get gridCellWidth() { return this.grid.columnWidth; } // World width of a column
+    get rowHeight() { return this.grid.rowHeight; }
+    get gridSpacing() { return this.grid.spacing; } // World units
+    get floatUp() { return this.grid.floatUp; }
+
     _addEventListeners() {
         this.domElement.addEventListener('pointerdown', this._onPointerDown.bind(this), false);
         this.domElement.addEventListener('pointermove', this._onPointerMove.bind(this), false);
         this.domElement.addEventListener('pointerup', this._onPointerUp.bind(this), false);
         this.domElement.addEventListener('pointerleave', this._onPointerUp.bind(this), false);
+        this.domElement.addEventListener('wheel', this._onWheel.bind(this), { passive: false });
+        this.domElement.addEventListener('dblclick', this._onDoubleClick.bind(this), false);
+        this.domElement.addEventListener('contextmenu', this._onContextMenu.bind(this), false);
+        window.addEventListener('copy', this._onCopy.bind(this), false);
+        window.addEventListener('paste', this._onPaste.bind(this), false);
+        window.addEventListener('keydown', this._onKeyDown.bind(this), false);
+        window.addEventListener('keyup', this._onKeyUp.bind(this), false);
     }
 
     // --- Pixel to World Conversion ---
     _calculatePixelToWorldRatio() {
-        // Estimate world height at z=0 based on camera FOV and distance
-        // This is an approximation, assumes grid is near z=0 plane relative to camera distance
-        const distance = this.camera.position.z; // Use camera's Z distance
+        // World height visible at z=0 from the reference distance, not the current (zoomed) one
+        const distance = this.referenceCameraDistance;
         if (distance <= 0) return 0.01; // Avoid division by zero or negative distance
         const vFov = THREE.MathUtils.degToRad(this.camera.fov);
         const worldHeight = 2 * Math.tan(vFov / 2) * distance;
-        return worldHeight / window.innerHeight;
+        return worldHeight / (this.domElement.clientHeight || window.innerHeight);
     }
 
     setSpacing(pixels) {
+        const previousPx = this.gridSpacingPx;
         this.gridSpacingPx = pixels; // Store current pixel value
         const ratio = this._calculatePixelToWorldRatio();
-        this.gridSpacing = pixels * ratio;
-        console.log(`Set spacing: ${pixels}px -> ${this.gridSpacing.toFixed(3)} world units`);
+        this.grid.spacing = pixels * ratio;
+        debug(`Set spacing: ${pixels}px -> ${this.gridSpacing.toFixed(3)} world units`);
         this.updateLayout(); // Recalculate layout whenever spacing changes
+
+        if (pixels !== previousPx) {
+            // Slider scrubs fire this continuously; mergeKey folds them into one entry
+            this._recordHistory({
+                label: 'Change spacing',
+                mergeKey: 'spacing',
+                undo: () => this.setSpacing(previousPx),
+                redo: () => this.setSpacing(pixels)
+            });
+        }
     }
 
     getCurrentSpacingPx() {
@@ -78,14 +275,29 @@ export class PanelManager {
     // --- Panel Management ---
 
     addPanel(config) {
-        const id = this.nextPanelId++;
+        // Saved layouts and undo/redo bring their own ids so later history entries still match
+        const id = (config.id !== undefined && !this.panelMap.has(config.id.toString())) ? config.id : this.nextPanelId;
+        this.nextPanelId = Math.max(this.nextPanelId, id + 1);
+        const gridBefore = this._captureGridState();
         // Pass manager reference and grid cell width to Panel
         config.panelManager = this;
-        config.gridCellWidth = this.gridCellWidth;
+        config.gridCellWidth = this.rowHeight; // Header/handle sizes stay the same at every column count
+        config.scriptTimeoutMs = config.scriptTimeoutMs ?? this.scriptTimeoutMs;
         const panel = new Panel(id, config, this.scene);
         this.panels.push(panel);
         this.panelMap.set(id.toString(), panel);
+        if (!panel.layouts[this.gridUnitsX]) panel.layouts[this.gridUnitsX] = gridRect(panel); // Placed at the current column count
         this.updateLayout();
+
+        if (this._isRecordingHistory()) {
+            const panelConfig = panel.toJSON();
+            const gridAfter = this._captureGridState();
+            this._recordHistory({
+                label: `Add ${panel.title}`,
+                undo: () => { this.removePanel(id); this._applyGridState(gridBefore); },
+                redo: () => { this.addPanel({ ...panelConfig }); this._applyGridState(gridAfter); }
+            });
+        }
         return panel;
     }
 
@@ -93,10 +305,30 @@ export class PanelManager {
         const idStr = panelId.toString();
         const panel = this.panelMap.get(idStr);
         if (panel) {
+            const panelConfig = this._isRecordingHistory() ? panel.toJSON() : null;
+            const gridBefore = this._captureGridState();
+
+            if (this.focusedPanel === panel) this.focusedPanel = null;
+            if (this.hoveredScreenPanel === panel) this.hoveredScreenPanel = null;
+            if (this.screenPointerPanel === panel) this.screenPointerPanel = null;
+            if (this.hoveredHeaderButton?.panel === panel) this.hoveredHeaderButton = null;
+            if (this.titleEditor?.panel === panel) this._finishTitleEdit(false);
+            if (this.codeEditorSession?.panel === panel) this.closeJsCodePopup();
+            if (this.selection.has(panel)) this.setSelection(this.getSelectedPanels().filter(p => p !== panel));
+            panel.stopScript(); // Terminate the panel's script worker
             panel.dispose();
             this.panels = this.panels.filter(p => p.id !== panel.id);
             this.panelMap.delete(idStr);
             this.updateLayout();
+
+            if (panelConfig) {
+                const gridAfter = this._captureGridState();
+                this._recordHistory({
+                    label: `Remove ${panelConfig.title}`,
+                    undo: () => { this.addPanel({ ...panelConfig }); this._applyGridState(gridBefore); },
+                    redo: () => { this.removePanel(panelConfig.id); this._applyGridState(gridAfter); }
+                });
+            }
         }
     }
 
@@ -104,129 +336,418 @@ export class PanelManager {
          return this.panelMap.get(panelId.toString());
     }
 
-    // --- Layout Logic ---
+    // Copy placed right below the original (the grid pushes whatever is there further down)
+    duplicatePanel(panelId) {
+        const panel = this.getPanelById(panelId);
+        if (!panel) return null;
+        const { id, layouts, ...config } = panel.toJSON(); // Fresh id; other column counts derive from this one
+        return this.addPanel({
+            ...config,
+            title: `${panel.title} (copy)`,
+            gridY: panel.gridY + rowSpan(panel),
+            locked: false,
+            viewState: panel.collapsed ? 'collapsed' : 'normal' // Only one panel is maximized at a time
+        });
+    }
 
-    updateLayout() {
-        console.log('Updating layout...');
-        // 1. Calculate total world width available
-        const totalUnitsWidth = this.gridUnitsX;
-        const totalGridWidth = totalUnitsWidth * this.gridCellWidth + Math.max(0, totalUnitsWidth - 1) * this.gridSpacing;
-        this.gridOrigin.x = -totalGridWidth / 2;
+    setPanelTitle(panelId, title) {
+        const panel = this.getPanelById(panelId);
+        const before = panel?.title;
+        if (!panel || !title || title === before) return;
+        panel.setTitle(title);
+        this.notifyLayoutChanged();
+        this._recordHistory({
+            label: `Rename ${before} to ${title}`,
+            undo: () => this.setPanelTitle(panelId, before),
+            redo: () => this.setPanelTitle(panelId, title)
+        });
+    }
+
+    // Copies of several panels as one undo step; the copies become the selection
+    duplicatePanels(panelIds) {
+        const copies = this.history.batch(`Duplicate ${panelIds.length} panels`, () => panelIds.map(id => this.duplicatePanel(id)).filter(Boolean));
+        if (copies.length) this.setSelection(copies);
+        return copies;
+    }
+
+    // Asks first unless confirm is false; returns whether the panels were removed. Locked panels are kept.
+    deletePanels(panelIds, { confirm = true } = {}) {
+        const panels = panelIds.map(id => this.getPanelById(id)).filter(p => p && !p.locked);
+        if (panels.length < panelIds.length) console.warn('Locked panels are not deleted; unlock them first');
+        if (panels.length === 0) return false;
+        const question = panels.length === 1 ? `Delete panel "${panels[0].title}"?` : `Delete ${panels.length} panels?`;
+        if (confirm && !window.confirm(`${question} Undo (Ctrl+Z) brings ${panels.length === 1 ? 'it' : 'them'} back.`)) return false;
+        this.history.batch(`Remove ${panels.length} panels`, () => panels.forEach(p => this.removePanel(p.id)));
+        return true;
+    }
+
+    // Locked panels keep their position, size and code until unlocked; the grid flows around them
+    setPanelLocked(panelId, locked) {
+        const panel = this.getPanelById(panelId);
+        if (!panel || panel.locked === locked) return;
+        panel.setLocked(locked);
+        const session = this.codeEditorSession;
+        if (locked && session?.panel === panel) {
+            clearTimeout(session.previewTimeout);
+            if (session.previewed) panel.runScript(); // Back to the code the lock keeps
+        }
+        this._setHoveredHeaderButton(null); // The unlock button may just have gone
+        this.notifyLayoutChanged();
+        this._recordHistory({
+            label: `${locked ? 'Lock' : 'Unlock'} ${panel.title}`,
+            undo: () => this.setPanelLocked(panelId, !locked),
+            redo: () => this.setPanelLocked(panelId, locked)
+        });
+    }
+
+    setPanelsLocked(panelIds, locked) {
+        this.history.batch(`${locked ? 'Lock' : 'Unlock'} ${panelIds.length} panels`, () => {
+            panelIds.forEach(id => this.setPanelLocked(id, locked));
+        });
+    }
+
+    copyPanelCode(panelId) {
+        const panel = this.getPanelById(panelId);
+        if (!panel) return;
+        this.codeClipboard = panel.jsCode;
+        navigator.clipboard?.writeText(panel.jsCode).catch(() => {}); // The internal copy still pastes onto panels
+    }
 
-        // 2. Determine panel dimensions and positions
-        const grid = this._buildLogicalGrid(); // Arrange panels in logical rows/cols
+    // System clipboard first (code copied from an editor), the last copied panel code otherwise
+    async pastePanelCode(panelIds) {
+        let code = this.codeClipboard;
+        try {
+            code = (await navigator.clipboard.readText()) || code;
+        } catch (error) {
+            // Reading needs a permission the user may have denied
+        }
+        if (code) this.setPanelsScript(panelIds, code);
+    }
 
-        // NEW Height Logic: Default height is gridCellWidth, making 1/6 panels square.
-        // Height might be overridden later by JS content per panel. For now, it's fixed per row.
-        const rowHeight = this.gridCellWidth; // Default height is the width of one cell
-        const totalGridHeight = grid.length * rowHeight + Math.max(0, grid.length - 1) * this.gridSpacing;
-        this.gridOrigin.y = totalGridHeight / 2; // Center vertically
+    setPanelsScript(panelIds, code) {
+        this.history.batch(`Paste code into ${panelIds.length} panels`, () => {
+            panelIds.forEach(id => this.setPanelScript(id, code));
+        });
+    }
 
-        // 3. Position each panel
-        let currentY = this.gridOrigin.y;
+    // Hand-written code; the panel becomes a customJs panel
+    setPanelScript(panelId, code) {
+        const panel = this.getPanelById(panelId);
+        if (!panel || panel.jsCode === code) return;
+        this.setPanelType(panelId, DEFAULT_PANEL_TYPE, { code });
+    }
 
-        grid.forEach((row, rowIndex) => {
-            let currentX = this.gridOrigin.x;
-            const processedInRow = new Set(); // Avoid processing same panel multiple times if it spans cols
+    setTheme(name) {
+        const previous = this.themes.getActiveTheme();
+        if (name === previous) return;
+        this.themes.setTheme(name); // Throws for unknown themes
+        this._recordHistory({
+            label: `Switch theme to ${name}`,
+            undo: () => this.setTheme(previous),
+            redo: () => this.setTheme(name)
+        });
+    }
 
-            row.forEach((panelRef, colIndex) => {
-                if (panelRef && !processedInRow.has(panelRef.id)) {
-                    const panel = panelRef; // Get the actual panel object
-                    processedInRow.add(panel.id);
+    setPanelThemeOverrides(panelId, overrides) {
+        const panel = this.getPanelById(panelId);
+        if (!panel) return;
+        const before = { ...panel.themeOverrides };
+        if (JSON.stringify(before) === JSON.stringify(overrides)) return;
+        panel.setThemeOverrides(overrides);
+        this.notifyLayoutChanged();
+        this._recordHistory({
+            label: `Change theme overrides of ${panel.title}`,
+            undo: () => this.setPanelThemeOverrides(panelId, before),
+            redo: () => this.setPanelThemeOverrides(panelId, overrides)
+        });
+    }
 
-                    // Ensure panel starts at its logical gridX position
-                    currentX = this.gridOrigin.x + panel.gridX * (this.gridCellWidth + this.gridSpacing);
+    setPanelType(panelId, type, options = {}) {
+        const panel = this.getPanelById(panelId);
+        if (!panel) return;
+        if (panel.locked) {
+            console.warn(`Panel ${panelId} is locked; unlock it to change its content`);
+            return;
+        }
+        const before = panel.getTypeState();
+        const after = { type, options: resolvePanelOptions(type, options) };
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        panel.setType(after.type, after.options);
+        this.notifyLayoutChanged();
+        this._recordHistory({
+            label: `Change content of ${panel.title}`,
+            undo: () => this.setPanelType(panelId, before.type, before.options),
+            redo: () => this.setPanelType(panelId, after.type, after.options)
+        });
+    }
 
-                    const panelWidth = panel.widthUnits * this.gridCellWidth + Math.max(0, panel.widthUnits - 1) * this.gridSpacing;
-                    const panelHeight = rowHeight; // Use the fixed row height
+    // Replaces the dashboard's data source definitions (throws on invalid ones, keeping the old set)
+    setDataSources(definitions) {
+        const previous = this.dataSources.getDefinitions();
+        this.dataSources.setDefinitions(definitions);
+        this.notifyLayoutChanged();
+        this._recordHistory({
+            label: 'Edit data sources',
+            undo: () => this.setDataSources(previous),
+            redo: () => this.setDataSources(definitions)
+        });
+    }
 
-                    const posX = currentX + panelWidth / 2;
-                    const posY = currentY - panelHeight / 2;
-                    const posZ = 0;
+    // Drives draw() hooks of animated panel scripts, each at its own target FPS. Kept apart from
+    // update(): that one takes the capped animation step, while scripts get the real time since the
+    // last frame, so their dt and fps pacing stay correct after idle gaps between on-demand frames
+    updateScripts(deltaTime) {
+        this.panels.forEach(p => p.tickScript(deltaTime));
+    }
 
-                    // Update panel's visual transform
-                    // This now includes size, potentially triggering geometry rebuild in Panel
-                    panel.setSizeAndPosition(panelWidth, panelHeight, new THREE.Vector3(posX, posY, posZ));
+    // --- Serialization ---
 
-                     console.log(`Panel <span class="math-inline">\{panel\.id\} Layout\: grid\[</span>{rowIndex},<span class="math-inline">\{colIndex\}\] W\=</span>{panelWidth.toFixed(2)}, H=<span class="math-inline">\{panelHeight\.toFixed\(2\)\}, Pos\=\(</span>{posX.toFixed(2)}, ${posY.toFixed(2)})`);
+    toJSON() {
+        return {
+            format: LAYOUT_FORMAT,
+            version: LAYOUT_SCHEMA_VERSION,
+            grid: {
+                gridUnitsX: this.gridUnitsX, // Column count that the panels' gridX/widthUnits refer to
+                gridCellWidth: this.rowHeight,
+                gridSpacingPx: this.gridSpacingPx,
+                floatUp: this.floatUp
+            },
+            panels: this.panels.map(p => p.toJSON()),
+            dataSources: this.dataSources.getDefinitions(),
+            theme: this.themes.getActiveTheme(),
+            state: this.bus.getPersistedState()
+        };
+    }
 
-                } else if (!panelRef) {
-                    // This cell is empty, handled by starting next panel at correct gridX
-                }
+    // Replaces every panel with the ones described by doc (any supported schema version).
+    // undoable: record the replacement as one history entry (imports); startup restores are not.
+    // trusted: false (share links) shows the panels without running their code, so no data
+    // sources, image loads or frame texture URLs are fetched until runHeldScripts
+    loadLayout(doc, { undoable = false, trusted = true } = {}) {
+        const layout = migrateLayout(doc); // Throws before anything is torn down
+        const previousLayout = undoable ? this.toJSON() : null;
+
+        this.isRestoringLayout = true;
+        try {
+            [...this.panels].forEach(p => this.removePanel(p.id));
+            this.scriptsEnabled = trusted;
+            this.bus.resetState(layout.state); // Before adding panels so their first run sees it
+            this.dataSources.setDefinitions(layout.dataSources || []);
+            if (layout.theme) {
+                if (this.themes.getThemeNames().includes(layout.theme)) this.themes.setTheme(layout.theme);
+                else console.warn(`Layout uses unknown theme "${layout.theme}", keeping "${this.themes.getActiveTheme()}"`);
+            }
+
+            const grid = layout.grid || {};
+            if (grid.gridCellWidth) this.grid.rowHeight = grid.gridCellWidth;
+            this.grid.setColumns(grid.gridUnitsX || this.gridUnitsX);
+            if (grid.floatUp !== undefined) this.grid.floatUp = grid.floatUp;
+
+            layout.panels.forEach(panelConfig => this.addPanel({ ...panelConfig }));
+            this.setSpacing(grid.gridSpacingPx ?? this.gridSpacingPx); // Also runs the final updateLayout
+            this.updateBreakpoint({ animate: false }); // The saved column count may not fit this viewport
+        } finally {
+            this.isRestoringLayout = false;
+        }
+        info(`Loaded layout with ${this.panels.length} panels.`);
+
+        if (previousLayout) {
+            const loadedLayout = this.toJSON();
+            this._recordHistory({
+                label: 'Load layout',
+                undo: () => this.loadLayout(previousLayout),
+                redo: () => this.loadLayout(loadedLayout)
             });
-            currentY -= (rowHeight + this.gridSpacing); // Move to next row position
-        });
-        console.log('Layout update complete.');
+        }
     }
 
-    _buildLogicalGrid() {
-         // Simpler grid build assuming fixed height (1 unit high per row)
-         const grid = [];
-         const occupied = new Set(); // Keep track of "row,col" strings
+    // Starts what a layout loaded with trusted: false held back
+    runHeldScripts() {
+        if (this.scriptsEnabled) return;
+        this.scriptsEnabled = true;
+        this.panels.forEach(p => p.runHeldContent());
+        this.requestRender();
+    }
 
-         const sortedPanels = [...this.panels].sort((a, b) => {
-             if (a.gridY !== b.gridY) return a.gridY - b.gridY;
-             return a.gridX - b.gridX;
-         });
+    // Call after any change that should end up in the saved layout
+    notifyLayoutChanged() {
+        this.requestRender(); // Saved state changes are visible changes
+        if (this.isRestoringLayout) return;
+        this.layoutStore.scheduleAutosave();
+        this.layoutChangeListeners.forEach(listener => listener());
+    }
 
-         let maxRow = -1;
-         sortedPanels.forEach(panel => {
-             // Clamp position and size
-             panel.widthUnits = Math.max(1, Math.min(panel.widthUnits, this.gridUnitsX));
-             panel.gridX = Math.max(0, Math.min(panel.gridX, this.gridUnitsX - panel.widthUnits));
-             panel.gridY = Math.max(0, panel.gridY);
+    onLayoutChange(listener) {
+        this.layoutChangeListeners.add(listener);
+        return () => this.layoutChangeListeners.delete(listener);
+    }
 
-             maxRow = Math.max(maxRow, panel.gridY);
+    // --- Rendering ---
+    // main.js draws on demand: whatever changes the picture calls requestRender(), and the loop keeps
+    // running on its own only while isAnimating() or an animated script is due for a frame.
 
-             // Ensure grid array is large enough
-             while (grid.length <= panel.gridY) {
-                 grid.push(Array(this.gridUnitsX).fill(null));
-             }
+    requestRender() {
+        this.renderRequestListeners.forEach(listener => listener());
+    }
 
-             // Check for overlaps and place panel reference
-             let canPlace = true;
-             for (let i = 0; i < panel.widthUnits; i++) {
-                 const key = `<span class="math-inline">\{panel\.gridY\},</span>{panel.gridX + i}`;
-                 if (occupied.has(key)) {
-                    console.warn(`Overlap placing Panel ${panel.id} at ${key}`);
-                    canPlace = false;
-                    //break; // Simple overlap handling: skip panel if overlap
-                 }
-             }
+    onRenderRequest(listener) {
+        this.renderRequestListeners.add(listener);
+        return () => this.renderRequestListeners.delete(listener);
+    }
 
-             if (canPlace) {
-                for (let i = 0; i < panel.widthUnits; i++) {
-                     const key = `<span class="math-inline">\{panel\.gridY\},</span>{panel.gridX + i}`;
-                     grid[panel.gridY][panel.gridX + i] = panel; // Store reference
-                     occupied.add(key);
-                 }
-             } else {
-                 // TODO: Handle placement failure (e.g., try next row?)
-                 console.error(`Failed to place Panel ${panel.id} due to overlap.`);
-             }
-         });
+    // Something is moving without further input (drags, breakpoint morphs, panels easing into place)
+    isAnimating() {
+        return Boolean(this.draggingPanel || this.resizingPanel || this.layoutTransition) || this.panels.some(p => !p.isAtRest());
+    }
+
+    // Seconds until the next animated panel script wants a frame, Infinity if none does
+    getNextScriptDrawDelay() {
+        return this.panels.reduce((delay, panel) => Math.min(delay, panel.getTimeUntilNextDraw()), Infinity);
+    }
+
+    // --- Canvas Resolution ---
+
+    // CSS pixels per world unit at 100% zoom, and the backing store pixel ratio: devicePixelRatio
+    // times the zoom level rounded to a power of two (so zooming re-rasterizes at a few steps only),
+    // capped by canvasResolution.maxPixelRatio. Panels also cap it by maxTextureSize.
+    getCanvasResolution() {
+        const zoom = this.referenceCameraDistance / Math.max(1e-3, this.cameraController.goal.z);
+        const zoomStep = Math.min(4, Math.max(0.25, 2 ** Math.round(Math.log2(zoom))));
+        return {
+            cssPixelsPerWorldUnit: 1 / this._calculatePixelToWorldRatio(),
+            pixelRatio: Math.min((window.devicePixelRatio || 1) * zoomStep, this.canvasResolution.maxPixelRatio),
+            maxTextureSize: this.canvasResolution.maxTextureSize
+        };
+    }
 
-        // Return only the used rows (or empty if no panels)
-         return grid;
+    // Call when the device pixel ratio may have changed (window moved to another screen, browser zoom)
+    updateCanvasResolutions() {
+        clearTimeout(this.canvasResolutionTimeout);
+        this.panels.forEach(panel => panel.updateCanvasResolution());
+    }
+
+    _scheduleCanvasResolutionUpdate() {
+        clearTimeout(this.canvasResolutionTimeout);
+        this.canvasResolutionTimeout = setTimeout(() => this.updateCanvasResolutions(), CANVAS_RESOLUTION_DELAY_MS);
+    }
+
+    // --- Layout Logic ---
+
+    updateLayout() {
+        const dragged = this._getDraggedPanels();
+        const { placements, displaced } = this.grid.arrange(this.panels, { pinned: dragged });
+        displaced.forEach(({ item, requestedY }) => {
+            console.warn(`Overlap placing Panel ${item.id} at row ${requestedY}, moved down to row ${item.gridY}`);
+        });
+        const maximized = this._getMaximizedPlacement();
+        placements.forEach(({ x, y, width, height }, panel) => {
+            // Dragged panels follow the pointer; the lead's slot is shown by the drop preview
+            if (dragged.includes(panel)) return;
+            // Keeps its grid slot, but is shown in front of the grid
+            if (panel.viewState === 'maximized') {
+                panel.setSizeAndPosition(maximized.width, maximized.height, maximized.position);
+                return;
+            }
+            // Rebuilds the panel's geometry when its size changed
+            panel.setSizeAndPosition(width, height, new THREE.Vector3(x, y, 0));
+        });
+        this.notifyLayoutChanged();
+    }
+
+    // World rect filling the viewport the camera is (heading) at, just in front of the grid
+    _getMaximizedPlacement() {
+        const cameraGoal = this.cameraController.goal;
+        const z = Math.min(MAXIMIZED_PANEL_Z, cameraGoal.z / 2);
+        const visibleHeight = 2 * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2) * (cameraGoal.z - z);
+        return {
+            width: visibleHeight * this.camera.aspect * MAXIMIZED_VIEWPORT_FILL,
+            height: visibleHeight * MAXIMIZED_VIEWPORT_FILL,
+            position: new THREE.Vector3(cameraGoal.x, cameraGoal.y, z)
+        };
+    }
+
+    // A maximized panel follows the camera right away but keeps its size until zooming pauses:
+    // a new size rebuilds its geometry and canvas, which would re-run plain scripts every wheel tick
+    _placeMaximizedPanel() {
+        const panel = this.panels.find(p => p.viewState === 'maximized');
+        clearTimeout(this.maximizedResizeTimeout);
+        if (!panel || this._getDraggedPanels().includes(panel)) return;
+        const { width, height, position } = this._getMaximizedPlacement();
+        panel.setSizeAndPosition(panel.currentWidth, panel.currentHeight, position);
+        this.maximizedResizeTimeout = setTimeout(() => {
+            if (panel.viewState === 'maximized' && !panel.sandbox.isDisposed) panel.setSizeAndPosition(width, height, position);
+        }, CANVAS_RESOLUTION_DELAY_MS);
+    }
+
+    // --- Maximize / Collapse ---
+
+    // viewState: one of PANEL_VIEW_STATES. Maximizing a panel restores any other maximized one.
+    // Collapsing pulls the panels below it up, expanding pushes them back down; both are undoable
+    // since they move other panels. Changes animate like breakpoint switches unless animate is false.
+    setPanelViewState(panelId, viewState, { animate = true } = {}) {
+        if (!PANEL_VIEW_STATES.includes(viewState)) throw new Error(`Unknown panel view state "${viewState}" (expected ${PANEL_VIEW_STATES.join(', ')})`);
+        const panel = this.getPanelById(panelId);
+        if (!panel || panel.viewState === viewState) return;
+        if (panel.locked && (viewState === 'collapsed' || panel.collapsed)) {
+            console.warn(`Panel ${panelId} is locked; unlock it to collapse or expand it`);
+            return;
+        }
+        const before = panel.viewState;
+        const gridBefore = this._captureGridState();
+        const from = animate ? this._captureWorldRects() : null;
+
+        if (viewState === 'maximized') {
+            this.panels.forEach(p => { if (p !== panel && p.viewState === 'maximized') p.setViewState('normal'); });
+        }
+        const wasCollapsed = panel.collapsed;
+        panel.setViewState(viewState);
+        if (panel.collapsed !== wasCollapsed) {
+            if (panel.collapsed) this.grid.closeGap(this.panels, panel, panel.heightUnits - 1);
+            else this.grid.pushCollisions(this.panels, panel);
+            this._storeColumnLayout();
+        }
+        this.updateLayout();
+        if (from) this.layoutTransition = { elapsed: 0, from };
+        this.requestRender();
+
+        if (panel.collapsed !== wasCollapsed) {
+            const gridAfter = this._captureGridState();
+            this._recordHistory({
+                label: `${panel.collapsed ? 'Collapse' : 'Expand'} ${panel.title}`,
+                undo: () => { this.setPanelViewState(panelId, before, { animate }); this._applyGridState(gridBefore); },
+                redo: () => { this.setPanelViewState(panelId, viewState, { animate }); this._applyGridState(gridAfter); }
+            });
+        }
+    }
+
+    // Enters viewState, or goes back to normal if the panel is already in it
+    togglePanelViewState(panelId, viewState) {
+        const panel = this.getPanelById(panelId);
+        if (panel) this.setPanelViewState(panelId, panel.viewState === viewState ? 'normal' : viewState);
+    }
+
+    getMaximizedPanel() {
+        return this.panels.find(panel => panel.viewState === 'maximized') || null;
     }
 
     // --- Interaction Handling ---
 
     _updateMouse(event) {
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        const rect = this.domElement.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     }
 
     _getIntersectedPanel(event) {
         // Raycasting logic (same as before)
         this._updateMouse(event);
         this.raycaster.setFromCamera(this.mouse, this.camera);
-        const interactionObjects = this.panels.flatMap(p => p.getRaycastObjects());
+        const interactionObjects = this._getRaycastCandidates();
         if (interactionObjects.length === 0) return null;
         const intersects = this.raycaster.intersectObjects(interactionObjects, false);
         if (intersects.length > 0) {
             const intersectedObject = intersects[0].object;
-            const match = intersectedObject.name.match(/panel(Frame|Screen|Header|Gear|Handle_.*)_(\d+)/);
+            const match = intersectedObject.name.match(/panel(Frame|Screen|Header|Gear|Status|Button_.*|Handle_.*)_(\d+)/);
             if (match) {
                 const panelId = match[2];
                 const panel = this.getPanelById(panelId);
@@ -238,36 +759,81 @@ export class PanelManager {
         return null;
     }
 
+    // Meshes of the panels whose loose bounds the pointer ray passes through; with many panels
+    // most are rejected by one box test instead of raycasting all their meshes on every move
+    _getRaycastCandidates() {
+        const ray = this.raycaster.ray;
+        return this.panels.flatMap(panel => {
+            const bounds = panel.getInteractionBounds(this.raycastBounds);
+            return !bounds || ray.intersectsBox(bounds) ? panel.getInteractionObjects() : [];
+        });
+    }
+
     _onPointerDown(event) {
         // Interaction logic (largely same as before, but store initialGridX for resize)
-        event.preventDefault();
+        if (event.button === 1) return; // Middle button pans the camera (CameraController)
+        if (event.button === 2) return; // Right button opens the context menu (_onContextMenu)
+        event.preventDefault(); // Also keeps focus where it is, so an open rename field has to be closed here
+        this._finishTitleEdit(true);
         this.isMouseDown = true;
         const intersection = this._getIntersectedPanel(event);
         this.selectedPanel = intersection ? intersection.panel : null;
+        this.focusPanel(this.selectedPanel); // Clicking empty space clears keyboard focus
+        const toggleSelection = event.shiftKey || event.ctrlKey || event.metaKey;
 
         if (!this.selectedPanel) {
              if (!this.settingsPanelElement.contains(event.target) && !this.jsCodePopupElement.contains(event.target)) {
                 this.closeSettingsPanel(); this.closeJsCodePopup();
-             } return;
+             }
+             if (event.button === 0 && !this.isViewMode) this._startSelectionBox(toggleSelection);
+             return;
+        }
+        if (!this.isViewMode) { // Nothing to select for in view mode
+            if (toggleSelection) {
+                this.toggleSelected(this.selectedPanel);
+                return;
+            }
+            // A plain click selects just this panel, unless it is part of the selection (group drag)
+            if (!this.selection.has(this.selectedPanel)) this.setSelection([this.selectedPanel]);
         }
 
         this.plane.setFromNormalAndCoplanarPoint(this.camera.getWorldDirection(this.plane.normal).negate(), intersection.point);
         if (this.raycaster.ray.intersectPlane(this.plane, this.intersectionPoint)) {
             const objectName = intersection.objectName;
             const panel = this.selectedPanel;
-            if (objectName.startsWith('panelGear_')) {
+            // Only panels at their grid size resize; maximized ones don't move either. Locked panels
+            // and view mode have no handles to hit, this just makes sure.
+            const resizeHandle = panel.viewState === 'normal' && panel.canArrange ? getResizeHandle(objectName) : null;
+            if (objectName.startsWith('panelGear_') && !this.isViewMode) {
                 this.openSettingsPanel(panel);
-            } else if (objectName.startsWith('panelHandle_Top_') || objectName.startsWith('panelHandle_Bottom_')) {
+            } else if (objectName.startsWith('panelButton_')) {
+                this.runHeaderButton(panel, intersection.object.userData.button);
+            } else if (objectName.startsWith('panelScreen_')) {
+                this.screenPointerPanel = panel;
+                this._dispatchScreenPointer(panel, 'pointerdown', event);
+            } else if (objectName.startsWith('panelHandle_Top_') && panel.viewState !== 'maximized' && panel.canArrange) {
                 this.draggingPanel = panel;
                 this.domElement.style.cursor = 'grabbing';
                 this.dragOffset.copy(this.intersectionPoint).sub(panel.meshGroup.position);
+                this._captureInteractionStartLayout();
+                const followers = this.getSelectedPanels().filter(p => p !== panel && p.viewState !== 'maximized' && p.canArrange);
+                this.dragGroup = followers.length === 0 ? null : {
+                    leadStart: panel.meshGroup.position.clone(),
+                    followers: followers.map(p => ({ panel: p, start: p.meshGroup.position.clone() }))
+                };
+                this.dropPreviewSlot = { gridX: panel.gridX, gridY: panel.gridY };
+                this._updateDropPreview(panel);
                  this._startJiggleEffect(panel);
-            } else if (objectName.startsWith('panelHandle_Left_') || objectName.startsWith('panelHandle_Right_')) {
-                 this.resizingPanel = { panel: panel, handle: objectName.includes('Left') ? 'left' : 'right' };
-                 this.domElement.style.cursor = 'ew-resize';
+                 this.requestRender();
+            } else if (resizeHandle) {
+                 this.resizingPanel = { panel: panel, handle: resizeHandle };
+                 this.domElement.style.cursor = resizeHandle.cursor;
                  this.initialPanelWidthUnits = panel.widthUnits;
+                 this.initialPanelHeightUnits = panel.heightUnits;
                  this.initialMouseX = this.intersectionPoint.x;
+                 this.initialMouseY = this.intersectionPoint.y;
                  this.initialGridX = panel.gridX; // Store initial gridX for left resize adjustment
+                 this._captureInteractionStartLayout();
             }
         }
     }
@@ -283,51 +849,66 @@ export class PanelManager {
         const intersection = this._getIntersectedPanel(event);
         const hoverObjectName = intersection ? intersection.objectName : null;
         if (!this.isMouseDown) {
-             if (hoverObjectName?.startsWith('panelGear_')) this.domElement.style.cursor = 'pointer';
-             else if (hoverObjectName?.startsWith('panelHandle_Top_') || hoverObjectName?.startsWith('panelHandle_Bottom_')) this.domElement.style.cursor = 'grab';
-             else if (hoverObjectName?.startsWith('panelHandle_Left_') || hoverObjectName?.startsWith('panelHandle_Right_')) this.domElement.style.cursor = 'ew-resize';
+             if (hoverObjectName?.startsWith('panelGear_') || hoverObjectName?.startsWith('panelButton_')) this.domElement.style.cursor = 'pointer';
+             else if (hoverObjectName?.startsWith('panelHandle_Top_') && intersection.panel.viewState !== 'maximized' && intersection.panel.canArrange) this.domElement.style.cursor = 'grab';
+             else if (getResizeHandle(hoverObjectName) && intersection.panel.viewState === 'normal' && intersection.panel.canArrange) this.domElement.style.cursor = getResizeHandle(hoverObjectName).cursor;
              else this.domElement.style.cursor = 'default';
+             // Native tooltips: per-source details on the data status dot, the action on header buttons
+             const hoveredButton = hoverObjectName?.startsWith('panelButton_') ? intersection : null;
+             this._setHoveredHeaderButton(hoveredButton);
+             this.domElement.title = hoverObjectName?.startsWith('panelStatus_') ? intersection.panel.dataStatusText
+                 : hoveredButton ? hoveredButton.object.userData.button.tooltip : '';
         }
          // --- End Hover ---
 
+        // --- Screen input: captured press first, otherwise hover ---
+        if (this.screenPointerPanel) {
+            this._dispatchScreenPointer(this.screenPointerPanel, 'pointermove', event);
+        } else if (!this.isMouseDown) {
+            const hoverPanel = hoverObjectName?.startsWith('panelScreen_') ? intersection.panel : null;
+            if (hoverPanel !== this.hoveredScreenPanel) {
+                this.hoveredScreenPanel?.sendInput({ type: 'pointerleave' });
+                this.hoveredScreenPanel = hoverPanel;
+            }
+            if (hoverPanel) this._dispatchScreenPointer(hoverPanel, 'pointermove', event);
+        }
+
+
+        if (this.selectionBox) this._updateSelectionBox();
 
         if (this.draggingPanel) {
             const targetPos = this.intersectionPoint.clone().sub(this.dragOffset);
             this.draggingPanel.targetPosition.copy(targetPos);
-             // Snap preview logic could go here
-        }
+            this.dragGroup?.followers.forEach(({ panel, start }) => {
+                panel.targetPosition.copy(start).add(targetPos).sub(this.dragGroup.leadStart);
+            });
+            this.requestRender();
 
-        if (this.resizingPanel) {
-             const panel = this.resizingPanel.panel;
-             const currentMouseX = this.intersectionPoint.x;
-             const deltaX = currentMouseX - this.initialMouseX;
-             const deltaUnits = Math.round(deltaX / (this.gridCellWidth + this.gridSpacing));
-
-             let newWidthUnits = this.initialPanelWidthUnits;
-             let newGridX = this.initialGridX; // Start with initial X
-
-             if (this.resizingPanel.handle === 'right') {
-                 newWidthUnits += deltaUnits;
-             } else { // Resizing left handle
-                 newWidthUnits -= deltaUnits;
-                 newGridX += deltaUnits; // Move gridX when pulling left handle
+            // Live reflow: re-plan the grid whenever the slot under the panel changes
+            const panel = this.draggingPanel;
+            const slot = this.grid.slotAt(targetPos, panel);
+            if (slot.gridX !== this.dropPreviewSlot.gridX || slot.gridY !== this.dropPreviewSlot.gridY) {
+                this.dropPreviewSlot = slot;
+                this._restoreInteractionStartLayout();
+                this._moveDraggedPanels(panel, slot);
+                this.grid.pushCollisions(this.panels, this._getDraggedPanels());
+                this.updateLayout();
+                this._updateDropPreview(panel);
             }
+        }
 
-            // Clamp width (1 to TOTAL_GRID_UNITS_X)
-            newWidthUnits = THREE.MathUtils.clamp(newWidthUnits, 1, this.gridUnitsX);
-            // Clamp gridX (0 to prevent going off left edge)
-             newGridX = Math.max(0, newGridX);
-            // Prevent panel from exceeding right edge due to gridX change
-             newWidthUnits = Math.min(newWidthUnits, this.gridUnitsX - newGridX);
-             // Ensure width is still at least 1 after right-edge clamping
-             newWidthUnits = Math.max(1, newWidthUnits);
-
-
-            // Apply changes if they are valid and different
-            if (panel.widthUnits !== newWidthUnits || panel.gridX !== newGridX) {
-                 console.log(`Resizing Panel <span class="math-inline">\{panel\.id\}\: DeltaUnits\=</span>{deltaUnits}, NewWidth=<span class="math-inline">\{newWidthUnits\}, NewGridX\=</span>{newGridX}`);
-                 panel.widthUnits = newWidthUnits;
-                 panel.gridX = newGridX; // Update logical grid position
+        if (this.resizingPanel) {
+             const { panel, handle } = this.resizingPanel;
+             const start = this.interactionStartLayout.get(panel.id);
+             const rect = this.grid.resizeRect(start, handle, this.intersectionPoint.x - this.initialMouseX, this.initialMouseY - this.intersectionPoint.y);
+
+            // Apply changes if they are valid and different; locked panels stop the edge
+            const blocked = this.panels.some(p => p.locked && p !== panel && gridRectsOverlap(rect, p));
+            if (!blocked && (panel.widthUnits !== rect.widthUnits || panel.heightUnits !== rect.heightUnits || panel.gridX !== rect.gridX)) {
+                 debug(`Resizing Panel ${panel.id}: NewSize=${rect.widthUnits}x${rect.heightUnits}, NewGridX=${rect.gridX}`);
+                 this._restoreInteractionStartLayout(); // Neighbours return when the panel shrinks back
+                 Object.assign(panel, rect);
+                 this.grid.pushCollisions(this.panels, panel);
                  this.updateLayout(); // Re-layout immediately
             }
         }
@@ -335,74 +916,931 @@ export class PanelManager {
 
     _onPointerUp(event) {
         // Interaction logic (largely same as before)
+        if (event.button === 1) return; // End of a camera pan
         event.preventDefault();
         this.isMouseDown = false;
         this.domElement.style.cursor = 'default';
         this._stopJiggleEffect();
 
-        if (this.draggingPanel) {
-            const panel = this.draggingPanel;
-            const finalPos = panel.targetPosition;
-            const { gridX, gridY } = this._getGridSlotFromPosition(finalPos);
-
-            // Prevent panel going off edge during drag/drop
-            const clampedGridX = Math.max(0, Math.min(gridX, this.gridUnitsX - panel.widthUnits));
+        if (this.screenPointerPanel) {
+            this._dispatchScreenPointer(this.screenPointerPanel, 'pointerup', event);
+            this.screenPointerPanel = null;
+        }
+        if (event.type === 'pointerleave' && this.hoveredScreenPanel) {
+            this.hoveredScreenPanel.sendInput({ type: 'pointerleave' });
+            this.hoveredScreenPanel = null;
+        }
+        if (event.type === 'pointerleave') this._setHoveredHeaderButton(null);
 
-            // TODO: Overlap check before setting final position
-            panel.gridX = clampedGridX;
-            panel.gridY = Math.max(0, gridY); // Ensure gridY is non-negative
+        if (this.selectionBox) {
+            this.selectionBox = null;
+            this.selectionBoxMesh.visible = false;
+            this.requestRender();
+        }
 
+        if (this.draggingPanel) {
+            // gridX/gridY and the neighbours' reflow were already applied live during the move
+            const label = this.dragGroup ? `Move ${this.dragGroup.followers.length + 1} panels` : `Move ${this.draggingPanel.title}`;
+            this._recordGridChange(label, this.interactionStartLayout);
             this.draggingPanel = null;
+            this.dragGroup = null;
+            this.dropPreviewSlot = null;
+            this.dropPreviewMesh.visible = false;
+            this.interactionStartLayout = null;
             this.updateLayout();
         }
 
         if (this.resizingPanel) {
              // Width and gridX already updated during move
+             this._recordGridChange(`Resize ${this.resizingPanel.panel.title}`, this.interactionStartLayout);
              this.resizingPanel = null;
+             this.interactionStartLayout = null;
              this.updateLayout(); // Final layout update
         }
         this.selectedPanel = null;
     }
 
-    _getGridSlotFromPosition(position) {
-        // Position to Grid logic (Needs update for fixed row height)
-        const relativeX = position.x - this.gridOrigin.x;
-        const relativeY = this.gridOrigin.y - position.y; // Y increases downwards
+    // Lead panel first, then the other selected panels moving with it
+    _getDraggedPanels() {
+        if (!this.draggingPanel) return [];
+        return [this.draggingPanel, ...(this.dragGroup?.followers.map(({ panel }) => panel) || [])];
+    }
 
-        const gridX = Math.round(relativeX / (this.gridCellWidth + this.gridSpacing));
+    // Puts the lead into slot; a dragged group keeps its relative offsets, with the shift limited
+    // so every member stays inside the grid
+    _moveDraggedPanels(lead, slot) {
+        const start = this.interactionStartLayout;
+        const rects = this._getDraggedPanels().map(panel => ({ panel, rect: start.get(panel.id) }));
+        const deltaX = THREE.MathUtils.clamp(slot.gridX - start.get(lead.id).gridX,
+            -Math.min(...rects.map(({ rect }) => rect.gridX)),
+            this.gridUnitsX - Math.max(...rects.map(({ rect }) => rect.gridX + rect.widthUnits)));
+        const deltaY = Math.max(slot.gridY - start.get(lead.id).gridY, -Math.min(...rects.map(({ rect }) => rect.gridY)));
+        rects.forEach(({ panel, rect }) => {
+            panel.gridX = rect.gridX + deltaX;
+            panel.gridY = rect.gridY + deltaY;
+        });
+    }
 
-        // Simpler Y calculation with fixed row height
-        const rowHeightWithSpacing = this.gridCellWidth + this.gridSpacing;
-        const gridY = Math.floor(relativeY / rowHeightWithSpacing);
+    // --- Edit / View Mode ---
+
+    // View mode is for presenting (e.g. a wall display): handles, gear and layout-changing header
+    // buttons are hidden, and panels can't be dragged, resized, selected, renamed or reconfigured.
+    // Panel screens stay interactive and panels can still be maximized.
+    setMode(mode) {
+        if (!PANEL_MANAGER_MODES.includes(mode)) throw new Error(`Unknown mode "${mode}" (expected ${PANEL_MANAGER_MODES.join(', ')})`);
+        if (mode === this.mode) return;
+        this.mode = mode;
+        if (this.isViewMode) {
+            this._finishTitleEdit(false);
+            this.setSelection([]);
+            this.contextMenu.close();
+            this.closeSettingsPanel(); this.closeJsCodePopup();
+        }
+        this._setHoveredHeaderButton(null);
+        this.panels.forEach(p => p.refreshChrome());
+        this.requestRender();
+        info(`Switched to ${mode} mode`);
+        this.modeChangeListeners.forEach(listener => listener(mode));
+    }
 
-        return {
-            gridX: Math.max(0, gridX),
-            gridY: Math.max(0, gridY) // Clamp Y >= 0
+    get isViewMode() {
+        return this.mode === 'view';
+    }
+
+    onModeChange(listener) {
+        this.modeChangeListeners.add(listener);
+        return () => this.modeChangeListeners.delete(listener);
+    }
+
+    // --- Selection ---
+
+    getSelectedPanels() {
+        return [...this.selection];
+    }
+
+    setSelection(panels) {
+        const next = new Set(panels);
+        if (next.size === this.selection.size && [...next].every(panel => this.selection.has(panel))) return;
+        this.selection.forEach(panel => { if (!next.has(panel)) panel.setSelected(false); });
+        next.forEach(panel => panel.setSelected(true));
+        this.selection = next;
+        const selected = this.getSelectedPanels();
+        this.selectionChangeListeners.forEach(listener => listener(selected));
+    }
+
+    toggleSelected(panel) {
+        const selected = this.getSelectedPanels();
+        this.setSelection(this.selection.has(panel) ? selected.filter(p => p !== panel) : [...selected, panel]);
+    }
+
+    onSelectionChange(listener) {
+        this.selectionChangeListeners.add(listener);
+        return () => this.selectionChangeListeners.delete(listener);
+    }
+
+    // Panels a command on panel (settings, context menu) applies to: the selection if panel is part of it
+    getTargetPanels(panel) {
+        if (!panel) return [];
+        return this.selection.has(panel) && this.selection.size > 1 ? this.getSelectedPanels() : [panel];
+    }
+
+    // additive (Shift/Ctrl held) adds the boxed panels to the current selection instead of replacing it
+    _startSelectionBox(additive) {
+        this.plane.normal.set(0, 0, 1); // The grid plane
+        this.plane.constant = 0;
+        if (!this.raycaster.ray.intersectPlane(this.plane, this.intersectionPoint)) return;
+        this.selectionBox = { start: this.intersectionPoint.clone(), base: additive ? this.getSelectedPanels() : [] };
+        if (!additive) this.setSelection([]);
+    }
+
+    _updateSelectionBox() {
+        const box = new THREE.Box3().setFromPoints([this.selectionBox.start, this.intersectionPoint]);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        this.selectionBoxMesh.scale.set(Math.max(size.x, 1e-3), Math.max(size.y, 1e-3), 1);
+        this.selectionBoxMesh.position.x = center.x;
+        this.selectionBoxMesh.position.y = center.y;
+        this.selectionBoxMesh.visible = true;
+        const boxed = this.panels.filter(panel => this._getPanelBounds(panel).intersectsBox(box));
+        this.setSelection([...this.selectionBox.base, ...boxed]);
+        this.requestRender();
+    }
+
+    // edge: 'left' | 'right' | 'top' | 'bottom', lines the selected panels up with the outermost one
+    alignSelection(edge) {
+        const panels = this.getSelectedPanels().filter(p => !p.locked);
+        if (panels.length < 2) return;
+        const gridBefore = this._captureGridState();
+        switch (edge) {
+            case 'left': {
+                const left = Math.min(...panels.map(p => p.gridX));
+                panels.forEach(p => { p.gridX = left; });
+                break;
+            }
+            case 'right': {
+                const right = Math.max(...panels.map(p => p.gridX + p.widthUnits));
+                panels.forEach(p => { p.gridX = right - p.widthUnits; });
+                break;
+            }
+            case 'top': {
+                const top = Math.min(...panels.map(p => p.gridY));
+                panels.forEach(p => { p.gridY = top; });
+                break;
+            }
+            case 'bottom': {
+                const bottom = Math.max(...panels.map(p => p.gridY + rowSpan(p)));
+                panels.forEach(p => { p.gridY = Math.max(0, bottom - rowSpan(p)); });
+                break;
+            }
+            default:
+                throw new Error(`Unknown alignment "${edge}" (expected left, right, top or bottom)`);
+        }
+        this._reflowSelection(panels, `Align ${panels.length} panels ${edge}`, gridBefore);
+    }
+
+    // Every selected panel takes the width of the first one selected
+    equalizeSelectionWidths() {
+        const panels = this.getSelectedPanels().filter(p => !p.locked);
+        if (panels.length < 2) return;
+        const gridBefore = this._captureGridState();
+        const widthUnits = panels[0].widthUnits;
+        panels.forEach(p => {
+            p.widthUnits = widthUnits;
+            p.gridX = Math.min(p.gridX, this.gridUnitsX - widthUnits);
+        });
+        this._reflowSelection(panels, `Equalize width of ${panels.length} panels`, gridBefore);
+    }
+
+    // Selected panels that now overlap each other stack downwards in reading order,
+    // then the rest of the grid makes room for them
+    _reflowSelection(panels, label, gridBefore) {
+        const placed = [];
+        [...panels].sort(compareGridPosition).forEach(panel => {
+            while (placed.some(other => gridRectsOverlap(panel, other))) panel.gridY++;
+            placed.push(panel);
+        });
+        this.grid.pushCollisions(this.panels, panels);
+        this.updateLayout();
+        this._recordGridChange(label, gridBefore);
+    }
+
+    // --- Collision Reflow ---
+
+    setFloatUp(enabled) {
+        if (this.floatUp === enabled) return;
+        const gridBefore = this._captureGridState();
+        this.grid.floatUp = enabled;
+        this.updateLayout();
+        const gridAfter = this._captureGridState();
+        this._recordHistory({
+            label: enabled ? 'Enable float up' : 'Disable float up',
+            undo: () => { this.grid.floatUp = !enabled; this._applyGridState(gridBefore); },
+            redo: () => { this.grid.floatUp = enabled; this._applyGridState(gridAfter); }
+        });
+    }
+
+    _captureInteractionStartLayout() {
+        this.interactionStartLayout = this._captureGridState();
+    }
+
+    // Puts every panel back where it was when the drag/resize started,
+    // so each reflow is planned from the original layout instead of accumulating pushes
+    _restoreInteractionStartLayout() {
+        if (!this.interactionStartLayout) return;
+        this.interactionStartLayout.forEach((rect, id) => {
+            const panel = this.getPanelById(id);
+            if (panel) Object.assign(panel, rect);
+        });
+    }
+
+    _updateDropPreview(panel) {
+        const { x, y, width, height } = this.grid.getPlacement(panel);
+        this.dropPreviewMesh.scale.set(width, height, 1);
+        this.dropPreviewMesh.position.x = x;
+        this.dropPreviewMesh.position.y = y;
+        this.dropPreviewMesh.visible = true;
+    }
+
+    // --- Undo / Redo ---
+
+    undo() {
+        return this.history.undo();
+    }
+
+    redo() {
+        return this.history.redo();
+    }
+
+    _isRecordingHistory() {
+        return !this.isRestoringLayout && !this.history.isApplying;
+    }
+
+    _recordHistory(command) {
+        if (!this._isRecordingHistory()) return;
+        this.history.record(command);
+    }
+
+    // Map of panel id -> grid rect, tagged with the column count the rects belong to;
+    // enough to undo any move/resize/reflow
+    _captureGridState() {
+        const state = new Map(this.panels.map(p => [p.id, gridRect(p)]));
+        state.columns = this.gridUnitsX;
+        return state;
+    }
+
+    // States from another breakpoint only update that breakpoint's stored layouts
+    _applyGridState(state) {
+        const isCurrent = !state.columns || state.columns === this.gridUnitsX;
+        state.forEach((rect, id) => {
+            const panel = this.getPanelById(id);
+            if (!panel) return;
+            if (isCurrent) Object.assign(panel, rect);
+            panel.layouts[state.columns || this.gridUnitsX] = { ...rect };
+        });
+        this.updateLayout();
+    }
+
+    _recordGridChange(label, gridBefore) {
+        if (!gridBefore) return;
+        const gridAfter = this._captureGridState();
+        const changed = [...gridAfter].some(([id, rect]) => {
+            const before = gridBefore.get(id);
+            return !before || Object.keys(rect).some(key => rect[key] !== before[key]);
+        });
+        if (!changed) return; // Click on a handle without moving
+        this._storeColumnLayout();
+        this._recordHistory({
+            label,
+            undo: () => this._applyGridState(gridBefore),
+            redo: () => this._applyGridState(gridAfter)
+        });
+    }
+
+    _isTextInputTarget(event) {
+        return Boolean(event.target.matches?.('textarea, input[type=text], input[type=number], [contenteditable]'));
+    }
+
+    _onKeyDown(event) {
+        // Text fields (e.g. the code editor) keep their native undo and their keystrokes
+        if (this._isTextInputTarget(event)) return;
+
+        const targets = this._getShortcutTargets();
+        const targetIds = targets.map(p => p.id);
+        const maximized = this.getMaximizedPanel();
+        if (event.key === 'Escape' && maximized) {
+            event.preventDefault();
+            this.setPanelViewState(maximized.id, 'normal');
+            return;
+        }
+        if (this.isViewMode) { // No editing shortcuts; keys go to the focused panel
+            this._dispatchKey(event);
+            return;
+        }
+        if (event.ctrlKey || event.metaKey) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+                return;
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                this.redo();
+                return;
+            } else if (key === 'a') {
+                event.preventDefault();
+                this.setSelection(this.panels);
+                return;
+            } else if (key === 'd' && targetIds.length) {
+                event.preventDefault();
+                this.duplicatePanels(targetIds);
+                return;
+            } else if (key === 'l' && targetIds.length) {
+                event.preventDefault();
+                this.setPanelsLocked(targetIds, !targets.every(p => p.locked));
+                return;
+            } else if ((key === 'c' || key === 'v') && targetIds.length) {
+                return; // Left to the browser so the copy/paste events fire (_onCopy/_onPaste)
+            }
+        }
+        if (event.altKey && event.key === 'Enter' && targets.length) {
+            event.preventDefault();
+            this.openSettingsPanel(targets[0]);
+            return;
+        }
+        // Interactive panels may want these keys themselves
+        if ((event.key === 'Delete' || event.key === 'Backspace') && targetIds.length && !this.focusedPanel?.acceptsInput()) {
+            event.preventDefault();
+            this.deletePanels(targetIds);
+            return;
+        }
+        this._dispatchKey(event);
+    }
+
+    _onKeyUp(event) {
+        if (this._isTextInputTarget(event)) return;
+        this._dispatchKey(event);
+    }
+
+    // --- Screen Input Forwarding ---
+
+    focusPanel(panel) {
+        if (this.focusedPanel === panel) return;
+        this.focusedPanel?.setFocused(false);
+        this.focusedPanel = panel;
+        panel?.setFocused(true);
+    }
+
+    // Ray (from the event) against the plane of the panel's screen, so a captured drag keeps
+    // reporting coordinates after the pointer leaves the screen
+    _dispatchScreenPointer(panel, type, domEvent) {
+        if (!panel.acceptsInput() || !panel.screenMesh) return;
+        this._updateMouse(domEvent);
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        const screen = panel.screenMesh;
+        const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(screen.getWorldQuaternion(new THREE.Quaternion()));
+        this.screenPlane.setFromNormalAndCoplanarPoint(normal, screen.getWorldPosition(new THREE.Vector3()));
+        if (!this.raycaster.ray.intersectPlane(this.screenPlane, this.screenPoint)) return;
+
+        const { x, y } = panel.worldToCanvas(this.screenPoint);
+        panel.sendInput({
+            type, x, y,
+            button: domEvent.button,
+            buttons: domEvent.buttons,
+            deltaX: domEvent.deltaX || 0,
+            deltaY: domEvent.deltaY || 0,
+            shiftKey: domEvent.shiftKey, ctrlKey: domEvent.ctrlKey, altKey: domEvent.altKey, metaKey: domEvent.metaKey
+        });
+    }
+
+    _dispatchKey(event) {
+        const panel = this.focusedPanel;
+        if (!panel || !panel.acceptsInput()) return;
+        // Arrows/space belong to the panel, not page scrolling. Whether the script handles a key is only
+        // known in the worker, too late to decide, so browser shortcuts (Ctrl+R, Ctrl+L, F5, ...) and
+        // Tab / Shift+Tab focus moves always keep working; the script still sees them.
+        const isBrowserKey = event.ctrlKey || event.metaKey || event.altKey || event.key === 'Tab' || /^F\d{1,2}$/.test(event.key);
+        if (!isBrowserKey) event.preventDefault();
+        panel.sendInput({
+            type: event.type, // 'keydown' | 'keyup'
+            key: event.key,
+            code: event.code,
+            repeat: event.repeat,
+            shiftKey: event.shiftKey, ctrlKey: event.ctrlKey, altKey: event.altKey, metaKey: event.metaKey
+        });
+    }
+
+    _onWheel(event) {
+        const intersection = this._getIntersectedPanel(event);
+        if (!intersection || !intersection.objectName.startsWith('panelScreen_') || !intersection.panel.acceptsInput()) return;
+        event.preventDefault();
+        this._dispatchScreenPointer(intersection.panel, 'wheel', event);
+    }
+
+    // --- Responsive Breakpoints ---
+
+    getBreakpointForWidth(width) {
+        return this.breakpoints.find(bp => width >= bp.minWidth) || this.breakpoints[this.breakpoints.length - 1];
+    }
+
+    // Call on viewport resize. Switches to the column count of the matching breakpoint,
+    // morphing panels from their old to their new place unless animate is false.
+    updateBreakpoint({ animate = true } = {}) {
+        const breakpoint = this.getBreakpointForWidth(this.domElement.clientWidth || window.innerWidth);
+        if (breakpoint.columns === this.gridUnitsX) return false;
+        info(`Breakpoint "${breakpoint.name}": ${this.gridUnitsX} -> ${breakpoint.columns} columns`);
+
+        const from = animate ? this._captureWorldRects() : null;
+        this.grid.setColumns(breakpoint.columns);
+        this.grid.applyColumnLayouts(this.panels);
+        this.updateLayout();
+        if (from) this.layoutTransition = { elapsed: 0, from };
+        return true;
+    }
+
+    // The user arranged panels at this column count: remember it instead of deriving it
+    _storeColumnLayout() {
+        this.panels.forEach(panel => { panel.layouts[this.gridUnitsX] = gridRect(panel); });
+    }
+
+    // Current on-screen placement, so a transition can also start from the middle of another one
+    _captureWorldRects() {
+        return new Map(this.panels.map(panel => [panel.id, {
+            position: panel.meshGroup.position.clone(),
+            width: panel.currentWidth * panel.meshGroup.scale.x,
+            height: panel.currentHeight * panel.meshGroup.scale.y
+        }]));
+    }
+
+    // Panels are rebuilt at their new size right away and scaled from the old size back to 1
+    updateLayoutTransition(deltaTime) {
+        if (!this.layoutTransition) return;
+        const transition = this.layoutTransition;
+        transition.elapsed += deltaTime;
+        const t = Math.min(1, transition.elapsed / LAYOUT_TRANSITION_SECONDS);
+        const eased = 1 - Math.pow(1 - t, 3);
+
+        this.panels.forEach(panel => {
+            const from = transition.from.get(panel.id);
+            if (!from || panel === this.draggingPanel || !panel.currentWidth) return;
+            panel.meshGroup.position.lerpVectors(from.position, panel.targetPosition, eased);
+            panel.meshGroup.scale.set(
+                THREE.MathUtils.lerp(from.width / panel.currentWidth, 1, eased),
+                THREE.MathUtils.lerp(from.height / panel.currentHeight, 1, eased),
+                1
+            );
+        });
+        if (t >= 1) this.layoutTransition = null;
+    }
+
+    // --- Camera ---
+
+    // World-space box of a panel at its layout position (not mid-animation)
+    _getPanelBounds(panel) {
+        const { x, y, width, height } = this.grid.getPlacement(panel); // Grid slot, also for maximized panels
+        return new THREE.Box3(
+            new THREE.Vector3(x - width / 2, y - height / 2, 0),
+            new THREE.Vector3(x + width / 2, y + height / 2, 0)
+        );
+    }
+
+    fitAll() {
+        const bounds = new THREE.Box3();
+        this.panels.forEach(panel => bounds.union(this._getPanelBounds(panel)));
+        if (!bounds.isEmpty()) this.cameraController.frameBox(bounds);
+    }
+
+    focusOnPanel(panel) {
+        this.cameraController.frameBox(this._getPanelBounds(panel));
+    }
+
+    // Double-clicking a panel's title renames it in place, the rest of its header flies the camera to it
+    _onDoubleClick(event) {
+        const intersection = this._getIntersectedPanel(event);
+        if (!intersection) return;
+        const { objectName, panel, point } = intersection;
+        if (objectName.startsWith('panelHeader_') || objectName.startsWith('panelHandle_Top_')) {
+            const title = panel.getTitleBounds();
+            const onTitle = point.x >= title.min.x && point.x <= title.max.x && point.y >= title.min.y && point.y <= title.max.y;
+            if (onTitle && !this.isViewMode) this.startTitleEdit(panel);
+            else this.focusOnPanel(panel);
+        }
+    }
+
+    // --- Context Menus ---
+
+    _onContextMenu(event) {
+        event.preventDefault();
+        const intersection = this._getIntersectedPanel(event);
+        if (intersection) {
+            const panel = intersection.panel;
+            if (!this.selection.has(panel)) this.setSelection([panel]);
+            this.contextMenu.open(event.clientX, event.clientY, this._getPanelMenuItems(panel));
+            return;
+        }
+        this.plane.normal.set(0, 0, 1); // The grid plane
+        this.plane.constant = 0;
+        if (!this.raycaster.ray.intersectPlane(this.plane, this.intersectionPoint)) return;
+        this.contextMenu.open(event.clientX, event.clientY, this._getGridMenuItems(this._getFreeCellAt(this.intersectionPoint)));
+    }
+
+    // Commands apply to the whole selection when panel is part of it
+    _getPanelMenuItems(panel) {
+        if (this.isViewMode) {
+            const maximized = panel.viewState === 'maximized';
+            return [
+                { heading: panel.title },
+                { label: maximized ? 'Restore' : 'Maximize', shortcut: maximized ? 'Esc' : undefined, action: () => this.togglePanelViewState(panel.id, 'maximized') }
+            ];
+        }
+        const targets = this.getTargetPanels(panel);
+        const ids = targets.map(p => p.id);
+        const count = targets.length > 1 ? ` ${targets.length} panels` : '';
+        const allLocked = targets.every(p => p.locked);
+        return [
+            { heading: count ? `${targets.length} selected panels` : panel.title },
+            { label: 'Settings…', shortcut: 'Alt+Enter', action: () => this.openSettingsPanel(panel) },
+            { label: `Duplicate${count}`, shortcut: 'Ctrl+D', action: () => this.duplicatePanels(ids) },
+            { label: `${allLocked ? 'Unlock' : 'Lock'}${count}`, shortcut: 'Ctrl+L', action: () => this.setPanelsLocked(ids, !allLocked) },
+            'separator',
+            { label: 'Copy code', shortcut: 'Ctrl+C', action: () => this.copyPanelCode(panel.id) },
+            { label: `Paste code${count ? ` into${count}` : ''}`, shortcut: 'Ctrl+V', action: () => this.pastePanelCode(ids), disabled: targets.some(p => p.locked) },
+            'separator',
+            { label: `Delete${count}`, shortcut: 'Del', danger: true, action: () => this.deletePanels(ids) }
+        ];
+    }
+
+    // cell: free grid cell under the pointer, or null
+    _getGridMenuItems(cell) {
+        const items = [];
+        if (cell && !this.isViewMode) {
+            items.push({ heading: 'Add panel here' });
+            getPanelTypes().forEach(({ name, label }) => items.push({ label, action: () => this.addPanelAt(cell, name) }));
+            items.push('separator');
+        }
+        items.push(
+            { label: 'Select all', shortcut: 'Ctrl+A', action: () => this.setSelection(this.panels), disabled: this.panels.length === 0 || this.isViewMode },
+            { label: 'Fit all', action: () => this.fitAll(), disabled: this.panels.length === 0 }
+        );
+        return items;
+    }
+
+    // Grid cell containing a point on the grid plane, null outside the grid's columns or if a panel is there
+    _getFreeCellAt(point) {
+        const { origin } = this.grid;
+        if (point.x < origin.x || point.x > origin.x + this.grid.getTotalWidth() || point.y > origin.y) return null;
+        const cell = this.grid.slotAt(point);
+        if (cell.gridX >= this.gridUnitsX) return null;
+        return this.panels.some(p => gridRectsOverlap({ ...cell, widthUnits: 1, heightUnits: 1 }, p)) ? null : cell;
+    }
+
+    // New panels take up to half the grid's width, less where a neighbour is in the way.
+    // The panel is selected and its settings opened so it can be set up right away.
+    addPanelAt({ gridX, gridY }, type) {
+        let widthUnits = Math.min(Math.ceil(this.gridUnitsX / 2), this.gridUnitsX - gridX);
+        while (widthUnits > 1 && this.panels.some(p => gridRectsOverlap({ gridX, gridY, widthUnits, heightUnits: 1 }, p))) widthUnits--;
+        const panel = this.addPanel({ gridX, gridY, widthUnits, heightUnits: 1, type });
+        this.setSelection([panel]);
+        this.openSettingsPanel(panel);
+        return panel;
+    }
+
+    // Keyboard shortcuts act on the selection, or the focused panel if nothing is selected
+    _getShortcutTargets() {
+        if (this.selection.size > 0) return this.getSelectedPanels();
+        return this.focusedPanel ? [this.focusedPanel] : [];
+    }
+
+    // Ctrl+C on the grid copies the code of the first selected panel (text selections copy as usual)
+    _onCopy(event) {
+        if (this._isTextInputTarget(event) || !window.getSelection()?.isCollapsed) return;
+        const panel = this._getShortcutTargets()[0];
+        if (!panel) return;
+        event.preventDefault();
+        event.clipboardData.setData('text/plain', panel.jsCode);
+        this.codeClipboard = panel.jsCode;
+    }
+
+    _onPaste(event) {
+        if (this._isTextInputTarget(event) || this.isViewMode) return;
+        const targets = this._getShortcutTargets();
+        const code = event.clipboardData.getData('text/plain');
+        if (targets.length === 0 || !code) return;
+        event.preventDefault();
+        this.setPanelsScript(targets.map(p => p.id), code);
+    }
+
+    // --- Header Buttons ---
+
+    // names: keys of HEADER_BUTTONS, rightmost first
+    setHeaderButtons(names) {
+        const unknown = names.filter(name => !HEADER_BUTTONS[name]);
+        if (unknown.length) console.warn(`Unknown header buttons ignored: ${unknown.join(', ')} (expected ${Object.keys(HEADER_BUTTONS).join(', ')})`);
+        this.headerButtons = names.filter(name => HEADER_BUTTONS[name]);
+        this.panels.forEach(p => p._refreshHeaderButtons());
+    }
+
+    // [{ name, icon, tooltip }] for Panel._createHeaderButtons
+    getHeaderButtons(panel) {
+        const names = this.headerButtons.filter(name => {
+            const { editOnly, lockBlocked } = HEADER_BUTTONS[name];
+            return !(editOnly && this.isViewMode) && !(lockBlocked && panel.locked);
+        });
+        const buttons = names.map(name => {
+            const { icon, tooltip, viewState, activeIcon, activeTooltip } = HEADER_BUTTONS[name];
+            const active = viewState && panel.viewState === viewState;
+            return { name, icon: active ? activeIcon : icon, tooltip: active ? activeTooltip : tooltip };
+        });
+        return panel.locked && !this.isViewMode ? [UNLOCK_HEADER_BUTTON, ...buttons] : buttons;
+    }
+
+    // button: the descriptor on the clicked mesh (built-in, or a script's with its subscriptionId)
+    runHeaderButton(panel, button) {
+        if (button.subscriptionId !== undefined) {
+            panel.triggerHeaderAction(button.subscriptionId);
+            return;
+        }
+        switch (button.name) {
+            case 'close':
+                this.removePanel(panel.id); // Undoable, so no confirmation
+                break;
+            case 'duplicate':
+                this.duplicatePanel(panel.id);
+                break;
+            case 'refresh':
+                panel.runScript();
+                break;
+            case 'unlock':
+                this.setPanelLocked(panel.id, false);
+                break;
+            case 'maximize':
+            case 'collapse':
+                this.togglePanelViewState(panel.id, HEADER_BUTTONS[button.name].viewState);
+                break;
+        }
+    }
+
+    _setHoveredHeaderButton(intersection) {
+        const mesh = intersection?.object || null;
+        if (this.hoveredHeaderButton?.mesh === mesh) return;
+        this.hoveredHeaderButton?.panel.setHoveredHeaderButton(null);
+        this.hoveredHeaderButton = mesh ? { panel: intersection.panel, mesh } : null;
+        intersection?.panel.setHoveredHeaderButton(mesh);
+    }
+
+    // --- Inline Title Rename ---
+
+    // Text field over the panel's title; Enter or clicking elsewhere renames, Escape cancels
+    startTitleEdit(panel) {
+        if (this.isViewMode) return;
+        this._finishTitleEdit(true);
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'panel-title-editor';
+        input.value = panel.title;
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this._finishTitleEdit(true);
+            else if (event.key === 'Escape') this._finishTitleEdit(false);
+        });
+        input.addEventListener('blur', () => this._finishTitleEdit(true));
+        document.body.appendChild(input);
+        this.titleEditor = { panel, input };
+        this._positionTitleEditor();
+        input.focus();
+        input.select();
+    }
+
+    _finishTitleEdit(commit) {
+        if (!this.titleEditor) return;
+        const { panel, input } = this.titleEditor;
+        this.titleEditor = null; // Before remove(), which may fire blur
+        input.remove();
+        if (commit) this.setPanelTitle(panel.id, input.value.trim());
+    }
+
+    _positionTitleEditor() {
+        if (!this.titleEditor) return;
+        const { panel, input } = this.titleEditor;
+        const bounds = panel.getTitleBounds();
+        const rect = this.domElement.getBoundingClientRect();
+        const toScreen = (x, y) => {
+            const projected = new THREE.Vector3(x, y, bounds.max.z).project(this.camera);
+            return { x: rect.left + (projected.x + 1) / 2 * rect.width, y: rect.top + (1 - projected.y) / 2 * rect.height };
         };
+        const topLeft = toScreen(bounds.min.x, bounds.max.y);
+        const bottomRight = toScreen(bounds.max.x, bounds.min.y);
+        const height = Math.max(16, bottomRight.y - topLeft.y);
+        const width = Math.max(120, bottomRight.x - topLeft.x); // Title meshes can be as narrow as the old text
+        Object.assign(input.style, {
+            left: `${(topLeft.x + bottomRight.x) / 2 - width / 2}px`,
+            top: `${topLeft.y}px`,
+            width: `${width}px`,
+            height: `${height}px`,
+            fontSize: `${Math.round(height * 0.6)}px`
+        });
     }
 
     // --- Settings UI --- (Mostly same as before)
     openSettingsPanel(panel) { /* ... */
         if (!panel) return;
         document.getElementById('settings-panel-id').value = panel.id;
-        document.getElementById('settings-title').textContent = `Settings: ${panel.title}`;
+        const targets = this.getTargetPanels(panel);
+        document.getElementById('settings-title').textContent = targets.length > 1 ? `Settings: ${targets.length} selected panels` : `Settings: ${panel.title}`;
+        document.getElementById('settings-selection-note').textContent = targets.length > 1
+            ? `Appearance applies to all ${targets.length} selected panels; content and theme overrides to ${panel.title} only.`
+            : 'Shift/Ctrl-click or drag a box on empty space to select several panels.';
         document.getElementById('corner-radius').value = panel.cornerRadius;
         document.getElementById('bevel-size').value = panel.bevelSize;
         document.getElementById('screen-opacity').value = panel.screenOpacity;
+        document.getElementById('target-fps').value = panel.targetFps;
         document.getElementById('panel-spacing').value = this.getCurrentSpacingPx();
+        document.getElementById('float-up').checked = this.floatUp;
         document.getElementById('texture-upload').value = ''; // Clear file input
-         document.getElementById('apply-to-all').checked = false; // Default to single panel
+        this.renderPanelTypeForm(panel.type, panel.typeOptions);
+        // Shows the effective values; only those that differ from the theme are saved as overrides
+        renderOptionsForm(document.getElementById('theme-overrides'), PANEL_THEME_TOKENS, panel.getThemeTokens(), 'theme-token');
+        this.renderFrameTextureForms(panel.getFrameTextures());
         this.settingsPanelElement.style.display = 'block';
          this.closeJsCodePopup();
     }
+    // Type picker plus the chosen type's option fields, generated from its schema
+    renderPanelTypeForm(type, values = {}) {
+        const typeSelect = document.getElementById('panel-type');
+        const types = getPanelTypes().map(({ name, label }) => ({ name, label }));
+        if (!getPanelType(type)) types.push({ name: type, label: `${type} (not registered)` });
+        typeSelect.replaceChildren(...types.map(({ name, label }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            return option;
+        }));
+        typeSelect.value = type;
+        renderOptionsForm(document.getElementById('panel-type-options'), getPanelType(type)?.options || {}, resolvePanelOptions(type, values));
+    }
+    // One mapping form per frame region; the image picker lists the asset library
+    async renderFrameTextureForms(frameTextures) {
+        let assets = [];
+        try {
+            assets = await this.assets.list();
+        } catch (error) {
+            console.error('Asset library unavailable:', error);
+        }
+        const choices = [{ value: '', label: 'None' }, ...assets.map(asset => ({ value: toAssetRef(asset.id), label: asset.name }))];
+        FRAME_TEXTURE_REGIONS.forEach(region => {
+            const mapping = frameTextures[region] || DEFAULT_TEXTURE_MAPPING;
+            const regionChoices = [...choices];
+            // Plain URLs (e.g. from hand-written layouts) and assets missing from this browser stay selectable
+            if (mapping.source && !choices.some(choice => choice.value === mapping.source)) {
+                regionChoices.push({ value: mapping.source, label: `${mapping.source} (not in library)` });
+            }
+            const schema = { source: { type: 'select', label: 'Image', choices: regionChoices }, ...TEXTURE_MAPPING_FIELDS };
+            renderOptionsForm(document.getElementById(`frame-texture-${region}`), schema, mapping, `frame-texture-${region}`);
+        });
+    }
+
+    // region -> mapping, or null for regions set to "None"
+    readFrameTextureForms() {
+        return Object.fromEntries(FRAME_TEXTURE_REGIONS.map(region => {
+            const container = document.getElementById(`frame-texture-${region}`);
+            const values = readOptionsForm(container, { source: { type: 'select' }, ...TEXTURE_MAPPING_FIELDS });
+            return [region, values.source ? { ...DEFAULT_TEXTURE_MAPPING, ...values } : null];
+        }));
+    }
+
     closeSettingsPanel() { this.settingsPanelElement.style.display = 'none'; }
-    closeJsCodePopup() { this.jsCodePopupElement.style.display = 'none'; }
 
-    applySettings(panelId, settings, applyToAll) { /* ... */
-        if (applyToAll) {
-            this.panels.forEach(p => p.applySettings(settings));
+    // --- Code Editor ---
+
+    // The popup edits the first panel's code; its console pane follows the panel's script output
+    openJsCodePopup(panel) {
+        this.closeJsCodePopup();
+        this.codeEditor.value = panel.jsCode || '';
+        this.codeEditorSession = {
+            panel,
+            previewed: false, // The panel runs edited code that isn't its own yet
+            previewTimeout: null,
+            consoleFrame: null, // Pending console render, see _scheduleJsConsoleRender
+            unsubscribe: panel.onConsoleChange(() => this._scheduleJsConsoleRender())
+        };
+        this._renderJsConsole(panel.getConsoleEntries());
+        document.getElementById('js-code-title').textContent = `JavaScript: ${panel.title}`;
+        this.jsCodePopupElement.style.display = 'flex';
+        this.closeSettingsPanel();
+        this.codeEditor.focus();
+    }
+
+    // Discards a live preview that was never run
+    closeJsCodePopup() {
+        const session = this.codeEditorSession;
+        this.codeEditorSession = null;
+        if (session) {
+            clearTimeout(session.previewTimeout);
+            cancelAnimationFrame(session.consoleFrame);
+            session.unsubscribe();
+            if (session.previewed) session.panel.runScript();
+        }
+        this.jsCodePopupElement.style.display = 'none';
+    }
+
+    // Makes the edited code the panel's code (undoable) and runs it; the popup stays open
+    runJsCodePopup() {
+        const session = this.codeEditorSession;
+        if (!session) return;
+        clearTimeout(session.previewTimeout);
+        const { panel } = session;
+        const code = this.codeEditor.value;
+        if (panel.jsCode === code) panel.runScript();
+        else this.setPanelScript(panel.id, code); // Refused for locked panels, which are never previewed
+    }
+
+    // Panel.runScript replaced whatever the panel ran, so a live preview (if any) is gone
+    notifyScriptRestarted(panel) {
+        if (this.codeEditorSession?.panel === panel) this.codeEditorSession.previewed = false;
+    }
+
+    setLivePreview(enabled) {
+        this.livePreview = enabled;
+        const session = this.codeEditorSession;
+        if (!session) return;
+        if (enabled) {
+            this._scheduleLivePreview();
         } else {
-            const panel = this.getPanelById(panelId);
-            if (panel) panel.applySettings(settings);
+            clearTimeout(session.previewTimeout);
+            if (session.previewed) session.panel.runScript(); // Back to the panel's own code
+            session.previewed = false;
+        }
+    }
+
+    // Locked panels keep their code, so edits to it aren't previewed either
+    _scheduleLivePreview() {
+        const session = this.codeEditorSession;
+        if (!session || !this.livePreview || session.panel.locked) return;
+        clearTimeout(session.previewTimeout);
+        session.previewTimeout = setTimeout(() => {
+            session.previewed = true;
+            session.panel.previewScript(this.codeEditor.value);
+        }, LIVE_PREVIEW_DELAY_MS);
+    }
+
+    clearJsConsole() {
+        this.codeEditorSession?.panel.clearConsole();
+    }
+
+    // Scripts may log every draw(), so the pane is rebuilt at most once per animation frame
+    _scheduleJsConsoleRender() {
+        const session = this.codeEditorSession;
+        if (!session || session.consoleFrame !== null) return;
+        session.consoleFrame = requestAnimationFrame(() => {
+            session.consoleFrame = null;
+            if (this.codeEditorSession === session) this._renderJsConsole(session.panel.getConsoleEntries());
+        });
+    }
+
+    // Entries with a line jump to it on click; the newest error's line is marked in the editor
+    _renderJsConsole(entries) {
+        this.jsConsoleElement.replaceChildren(...entries.map(({ level, text, line }) => {
+            const row = document.createElement('div');
+            row.className = `js-console-entry ${level}`;
+            if (line) {
+                const link = document.createElement('button');
+                link.type = 'button';
+                link.className = 'js-console-line';
+                link.textContent = `line ${line}`;
+                link.addEventListener('click', () => this.codeEditor.revealLine(line));
+                row.appendChild(link);
+            }
+            row.append(text);
+            return row;
+        }));
+        this.jsConsoleElement.scrollTop = this.jsConsoleElement.scrollHeight;
+        const lastError = entries.findLast(entry => entry.level === 'error');
+        this.codeEditor.setErrorLine(lastError?.line ?? null);
+    }
+
+    // panelIds: the panels the settings panel was opened for (see getTargetPanels)
+    applySettings(panelIds, settings) { /* ... */
+        this.notifyLayoutChanged(); // Autosave is debounced, so it captures the state after this call
+        const targets = panelIds.map(id => this.getPanelById(id)).filter(Boolean);
+        const appearanceBefore = new Map(targets.map(p => [p.id, p.getAppearance()]));
+        if (settings.targetFps !== undefined) {
+            targets.forEach(p => p.setTargetFps(settings.targetFps));
+        }
+        if (settings.frameTextures !== undefined) {
+            // Unchanged mappings keep their loaded textures instead of re-cloning and re-uploading them
+            const mappings = JSON.stringify(settings.frameTextures);
+            targets.forEach(p => { if (mappings !== JSON.stringify(p.getFrameTextures())) p.setFrameTextures(settings.frameTextures); });
+        }
+        targets.forEach(p => p.applySettings(settings));
+        // Repeated Apply clicks without edits leave no empty undo steps
+        const changed = targets.some(p => JSON.stringify(p.getAppearance()) !== JSON.stringify(appearanceBefore.get(p.id)));
+        if (changed) {
+            this._recordHistory({
+                label: targets.length > 1 ? `Apply settings to ${targets.length} panels` : 'Apply panel settings',
+                undo: () => {
+                    appearanceBefore.forEach((appearance, id) => this.getPanelById(id)?.setAppearance(appearance));
+                    this.notifyLayoutChanged();
+                },
+                redo: () => this.applySettings(panelIds, settings)
+            });
         }
         //
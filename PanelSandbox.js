@@ -0,0 +1,206 @@
+// --- Panel Script Sandbox ---
+// Main-thread side of a panel's script worker (panelWorker.js). Owns the worker,
+// enforces the execution-time budget and hands finished frames back to the Panel.
+
+export const DEFAULT_SCRIPT_TIMEOUT_MS = 1000;
+
+export class PanelSandbox {
+    constructor(panel, options = {}) {
+        this.panel = panel;
+        this.timeoutMs = options.timeoutMs || DEFAULT_SCRIPT_TIMEOUT_MS;
+
+        this.worker = null;
+        this.nextRunId = 0;
+        this.activeRun = null; // { runId, code, timer } while the worker is executing
+        this.queuedRequest = null; // Latest run/resize that arrived while the worker was busy
+        this.currentCode = null; // Code the worker has loaded (or is loading)
+        this.isAnimated = false; // True once the loaded script defines a draw hook
+        this.acceptsInput = false; // True once the loaded script defines any input hook
+        this.eventQueue = []; // Input events and bus deliveries waiting for the worker, delivered in order
+        this.isDisposed = false;
+
+        this._spawnWorker();
+    }
+
+    _spawnWorker() {
+        this.worker = new Worker(new URL('./panelWorker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', this._onMessage.bind(this));
+        this.worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            this._finishRun();
+            this.panel.onScriptError(event.message || 'Script worker failed');
+        });
+    }
+
+    // Load (or reload) a script and draw its first frame. width/height are CSS pixels,
+    // the worker's canvas is pixelRatio times larger (see panelWorker.js)
+    run(code, width, height, pixelRatio = 1) {
+        this._request({ type: 'run', code, width, height, pixelRatio });
+    }
+
+    resize(width, height, pixelRatio = 1) {
+        if (this.currentCode === null) return; // Nothing loaded yet, the pending run uses the new size anyway
+        this._request({ type: 'resize', width, height, pixelRatio });
+    }
+
+    // Per-frame draw for animated scripts. Skipped (returns false) while the worker is busy,
+    // so slow scripts drop frames instead of building a backlog.
+    tick(time, dt) {
+        if (this.isDisposed || this.activeRun || !this.isAnimated) return false;
+        this._startRun({ type: 'tick', time, dt });
+        return true;
+    }
+
+    // Input events are never dropped (a lost pointerup breaks widgets), only consecutive moves coalesce
+    input(event) {
+        if (this.isDisposed || !this.acceptsInput) return;
+        const last = this.eventQueue[this.eventQueue.length - 1];
+        if (last?.type === 'input' && last.event.type === 'pointermove' && event.type === 'pointermove') {
+            last.event = event;
+            return;
+        }
+        this._enqueueEvent({ type: 'input', event });
+    }
+
+    // Bus message for one of the script's subscriptions
+    deliver(subscriptionId, topic, data, sourceId) {
+        if (this.isDisposed) return;
+        this._enqueueEvent({ type: 'bus', subscriptionId, topic, data, sourceId });
+    }
+
+    // New panel theme tokens for the running script, in order with its other events
+    setTheme(theme) {
+        if (this.isDisposed || this.currentCode === null) return;
+        this._enqueueEvent({ type: 'theme', theme });
+    }
+
+    // Keeps the worker's store mirror current; runs no user code so it bypasses the queue
+    syncState(key, value) {
+        if (this.isDisposed) return;
+        this.worker.postMessage({ type: 'stateSync', key, value });
+    }
+
+    _enqueueEvent(message) {
+        this.eventQueue.push(message);
+        if (!this.activeRun) this._finishRun(); // Idle: start delivering right away
+    }
+
+    _request(message) {
+        if (this.isDisposed) return;
+        if (message.type === 'run') {
+            this.currentCode = message.code;
+            this.panel.clearBusSubscriptions(); // The reloaded script subscribes again
+        }
+        if (!this.activeRun) {
+            this._startRun(message);
+            return;
+        }
+        // Only the latest request matters; a queued run just picks up the newer size
+        if (this.queuedRequest?.type === 'run' && message.type === 'resize') {
+            this.queuedRequest.width = message.width;
+            this.queuedRequest.height = message.height;
+            this.queuedRequest.pixelRatio = message.pixelRatio;
+        } else {
+            this.queuedRequest = message;
+        }
+    }
+
+    _startRun(message) {
+        const runId = ++this.nextRunId;
+        this.activeRun = {
+            runId,
+            code: this.currentCode,
+            timer: setTimeout(() => this._onTimeout(runId), this.timeoutMs)
+        };
+        this.worker.postMessage({
+            ...message,
+            runId,
+            time: message.time ?? performance.now() / 1000,
+            info: { id: this.panel.id, title: this.panel.title, theme: this.panel.getThemeTokens() },
+            state: message.type === 'run' ? this.panel.getSharedState() : undefined
+        });
+    }
+
+    _onMessage(event) {
+        const message = event.data;
+        if (message.type === 'bus') {
+            this.panel.onBusRequest(message); // publish/subscribe/setState calls from the script
+            return;
+        }
+        if (message.type === 'console') {
+            this.panel.onScriptConsole(message); // Any time, e.g. from timers
+            return;
+        }
+        if (message.type === 'reloaded') {
+            this.panel.clearBusSubscriptions(); // The worker re-ran the script for a resize, its ids are gone
+            return;
+        }
+        if (!this.activeRun || message.runId !== this.activeRun.runId) {
+            if (message.bitmap) message.bitmap.close(); // Stale result from a superseded run
+            return;
+        }
+
+        if (message.type === 'frame') {
+            this.panel.presentFrame(message.bitmap);
+        } else if (message.type === 'error') {
+            this.panel.onScriptError(message.message, message.line);
+        } else if (message.type === 'done') {
+            this.isAnimated = message.animated;
+            this.acceptsInput = message.acceptsInput;
+            this._finishRun();
+        }
+    }
+
+    _finishRun() {
+        if (this.activeRun) clearTimeout(this.activeRun.timer);
+        this.activeRun = null;
+        if (this.queuedRequest) {
+            const next = this.queuedRequest;
+            this.queuedRequest = null;
+            this._startRun(next);
+        } else if (this.eventQueue.length > 0) {
+            this._startRun(this.eventQueue.shift());
+        }
+    }
+
+    // Runaway script: the only way to stop synchronous code in a worker is to kill it
+    _onTimeout(runId) {
+        if (!this.activeRun || this.activeRun.runId !== runId) return;
+        console.warn(`Panel ${this.panel.id}: Script exceeded ${this.timeoutMs}ms budget, terminating worker.`);
+        const timedOutCode = this.activeRun.code;
+        this.worker.terminate();
+        this._spawnWorker();
+        this.isAnimated = false;
+        this.acceptsInput = false;
+        this.eventQueue = [];
+        this.panel.clearBusSubscriptions();
+        this.panel.onScriptError(`Script timed out after ${this.timeoutMs}ms`);
+
+        // The fresh worker has nothing loaded: only a run with edited code is worth starting,
+        // the same code would just hang again
+        const queued = this.queuedRequest;
+        this.queuedRequest = (queued?.type === 'run' && queued.code !== timedOutCode) ? queued : null;
+        if (!this.queuedRequest) this.currentCode = null;
+        this.activeRun = null;
+        this._finishRun();
+    }
+
+    dispose() {
+        if (this.isDisposed) return;
+        this.isDisposed = true;
+        this.queuedRequest = null;
+        this.eventQueue = [];
+        this.panel.clearBusSubscriptions();
+        if (this.activeRun) {
+            // Busy (possibly stuck): no chance to run the dispose hook
+            clearTimeout(this.activeRun.timer);
+            this.activeRun = null;
+            this.worker.terminate();
+            return;
+        }
+        // Give the script's dispose hook one budget to run; the worker closes itself afterwards
+        const worker = this.worker;
+        worker.postMessage({ type: 'dispose', runId: ++this.nextRunId });
+        setTimeout(() => worker.terminate(), this.timeoutMs);
+    }
+}
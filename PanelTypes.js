@@ -0,0 +1,395 @@
+// --- Panel Type Registry ---
+// A panel type turns a plain options object into the script that runs in the panel's
+// sandbox (see panelWorker.js for the API scripts get). Types are registered by name:
+//
+//   registerPanelType('weather', {
+//       label: 'Weather',
+//       options: { city: { type: 'string', label: 'City', default: 'Oslo' } },
+//       createScript: (options, info) => `...script source...`
+//   });
+//
+// Option schema fields: { type, label, default, ... } where type is one of
+//   'string', 'text' (multi-line), 'code', 'number' (min, max, step), 'color', 'boolean',
+//   'select' (choices: [value, ...] or [{ value, label }, ...])
+// The settings panel renders the schema as a form (see OptionsForm.js).
+// addPanel({ type, options }) fills in defaults for options that are left out.
+
+export const DEFAULT_PANEL_TYPE = 'customJs';
+
+const panelTypes = new Map(); // name -> { name, label, options, createScript }
+
+export function registerPanelType(name, definition) {
+    if (!name || typeof name !== 'string') throw new Error('Panel type needs a name');
+    if (panelTypes.has(name)) throw new Error(`Panel type "${name}" is already registered`);
+    if (typeof definition?.createScript !== 'function') throw new Error(`Panel type "${name}" needs a createScript(options, info) function`);
+    panelTypes.set(name, { name, label: definition.label || name, options: definition.options || {}, createScript: definition.createScript });
+}
+
+export function getPanelType(name) {
+    return panelTypes.get(name) || null;
+}
+
+export function getPanelTypes() {
+    return [...panelTypes.values()];
+}
+
+// Missing options get their schema default; unknown keys are kept so nothing is lost on round trips
+export function resolvePanelOptions(name, options = {}) {
+    const type = getPanelType(name);
+    const resolved = { ...options };
+    if (!type) return resolved;
+    Object.entries(type.options).forEach(([key, field]) => {
+        if (resolved[key] === undefined) resolved[key] = field.default;
+    });
+    return resolved;
+}
+
+// info: { title } of the panel. Unknown types (e.g. a plugin that isn't loaded) draw a notice.
+export function createPanelScript(name, options, info) {
+    const type = getPanelType(name);
+    if (!type) return scriptWithOptions({ message: `Unknown panel type "${name}"` }, NOTICE_SCRIPT);
+    return type.createScript(resolvePanelOptions(name, options), info);
+}
+
+// --- Built-in Types ---
+
+// Built-in scripts read their settings from an `options` constant declared in front of them
+function scriptWithOptions(options, body) {
+    return `const options = ${JSON.stringify(options)};\n${body}`;
+}
+
+const NOTICE_SCRIPT = `
+ctx.fillStyle = 'rgb(60, 40, 0)';
+ctx.fillRect(0, 0, canvas.width, canvas.height);
+ctx.fillStyle = 'white';
+ctx.font = '16px sans-serif';
+ctx.textAlign = 'center';
+ctx.fillText(options.message, canvas.width / 2, canvas.height / 2, canvas.width - 20);
+`;
+
+// Shared by the text-like types: greedy word wrap, returns the lines
+const WRAP_TEXT_HELPER = `
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    text.split(/\\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? line + ' ' + word : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+`;
+
+// Shared by the data-driven types: 'a.b.c' paths into a data source payload, '' = the payload itself
+const PICK_FIELD_HELPER = `
+function pickField(value, path) {
+    if (!path) return value;
+    return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+`;
+
+// Placeholder/status text in the panel's colors
+const DRAW_MESSAGE_HELPER = `
+function drawMessage(text) {
+    ctx.fillStyle = options.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = options.color;
+    ctx.font = '14px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width - 20);
+}
+`;
+
+const BACKGROUND_OPTION = { type: 'color', label: 'Background', default: '#003246' };
+const COLOR_OPTION = { type: 'color', label: 'Text color', default: '#ffffff' };
+
+registerPanelType('customJs', {
+    label: 'Custom JavaScript',
+    options: {
+        code: { type: 'code', label: 'Code', default: '' }
+    },
+    createScript: (options, info) => options.code || `// Default code\nctx.fillStyle='rgb(0, 50, 70)';\nctx.fillRect(0,0,canvas.width,canvas.height);\nctx.fillStyle='white';\nctx.font='20px sans-serif';\nctx.textAlign='center';\nctx.fillText(${JSON.stringify(info.title)}, canvas.width/2, canvas.height/2);`
+});
+
+registerPanelType('clock', {
+    label: 'Clock',
+    options: {
+        format: { type: 'select', label: 'Format', default: '24h', choices: ['24h', '12h'] },
+        showSeconds: { type: 'boolean', label: 'Show seconds', default: true },
+        showDate: { type: 'boolean', label: 'Show date', default: true },
+        timeZone: { type: 'string', label: 'Time zone (blank = local, e.g. Europe/Oslo)', default: '' },
+        color: COLOR_OPTION,
+        background: BACKGROUND_OPTION
+    },
+    createScript: (options) => scriptWithOptions(options, `
+let shown = '';
+function draw(ctx, canvas) {
+    const now = new Date();
+    const timeZone = options.timeZone || undefined;
+    const time = now.toLocaleTimeString([], {
+        hour: '2-digit', minute: '2-digit', second: options.showSeconds ? '2-digit' : undefined,
+        hour12: options.format === '12h', timeZone
+    });
+    const date = options.showDate ? now.toLocaleDateString([], { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', timeZone }) : '';
+    if (time + date === shown) return false; // Only redraw when the text changes
+    shown = time + date;
+
+    ctx.fillStyle = options.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = options.color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const size = Math.min(canvas.height * 0.4, canvas.width / (time.length * 0.6));
+    ctx.font = 'bold ' + size + 'px sans-serif';
+    ctx.fillText(time, canvas.width / 2, canvas.height * (date ? 0.42 : 0.5));
+    if (date) {
+        ctx.font = (size * 0.35) + 'px sans-serif';
+        ctx.fillText(date, canvas.width / 2, canvas.height * 0.42 + size * 0.75);
+    }
+}
+function resize() { shown = ''; }
+`)
+});
+
+registerPanelType('text', {
+    label: 'Text',
+    options: {
+        text: { type: 'text', label: 'Text', default: 'Hello' },
+        fontSize: { type: 'number', label: 'Font size (px)', default: 24, min: 6, max: 200, step: 1 },
+        align: { type: 'select', label: 'Alignment', default: 'center', choices: ['left', 'center', 'right'] },
+        color: COLOR_OPTION,
+        background: BACKGROUND_OPTION
+    },
+    createScript: (options) => scriptWithOptions(options, `${WRAP_TEXT_HELPER}
+const padding = 10;
+ctx.fillStyle = options.background;
+ctx.fillRect(0, 0, canvas.width, canvas.height);
+ctx.fillStyle = options.color;
+ctx.font = options.fontSize + 'px sans-serif';
+ctx.textAlign = options.align;
+ctx.textBaseline = 'top';
+const lineHeight = options.fontSize * 1.25;
+const lines = String(options.text).split('\\n').flatMap(paragraph => wrapText(ctx, paragraph, canvas.width - padding * 2).concat(paragraph.trim() ? [] : ['']));
+const x = options.align === 'left' ? padding : options.align === 'right' ? canvas.width - padding : canvas.width / 2;
+let y = Math.max(padding, (canvas.height - lines.length * lineHeight) / 2);
+lines.forEach(line => { ctx.fillText(line, x, y); y += lineHeight; });
+`)
+});
+
+registerPanelType('markdown', {
+    label: 'Markdown',
+    options: {
+        markdown: { type: 'text', label: 'Markdown', default: '# Title\n\nSome **text** and a list:\n\n- one\n- two' },
+        fontSize: { type: 'number', label: 'Base font size (px)', default: 16, min: 6, max: 100, step: 1 },
+        color: COLOR_OPTION,
+        background: BACKGROUND_OPTION
+    },
+    // Headings (#, ##, ###), bullet lists (- or *), paragraphs; inline markers are stripped
+    createScript: (options) => scriptWithOptions(options, `${WRAP_TEXT_HELPER}
+const padding = 12;
+const base = options.fontSize;
+ctx.fillStyle = options.background;
+ctx.fillRect(0, 0, canvas.width, canvas.height);
+ctx.fillStyle = options.color;
+ctx.textAlign = 'left';
+ctx.textBaseline = 'top';
+
+const stripInline = (text) => text.replace(/(\\*\\*|__|\\*|_|\`)/g, '');
+let y = padding;
+String(options.markdown).split('\\n').forEach(rawLine => {
+    const heading = rawLine.match(/^(#{1,3})\\s+(.*)$/);
+    const bullet = rawLine.match(/^\\s*[-*]\\s+(.*)$/);
+    if (!rawLine.trim()) { y += base * 0.6; return; }
+
+    let size = base, weight = '', indent = 0, text = rawLine;
+    if (heading) {
+        size = base * [1.8, 1.4, 1.2][heading[1].length - 1];
+        weight = 'bold ';
+        text = heading[2];
+    } else if (bullet) {
+        indent = base * 1.2;
+        text = bullet[1];
+    }
+    ctx.font = weight + size + 'px sans-serif';
+    const lines = wrapText(ctx, stripInline(text), canvas.width - padding * 2 - indent);
+    if (bullet) ctx.fillText('\\u2022', padding + base * 0.3, y);
+    lines.forEach(line => {
+        ctx.fillText(line, padding + indent, y);
+        y += size * 1.3;
+    });
+    if (heading) y += base * 0.3;
+});
+`)
+});
+
+registerPanelType('image', {
+    label: 'Image',
+    options: {
+        url: { type: 'string', label: 'Image URL', default: '' },
+        fit: { type: 'select', label: 'Fit', default: 'contain', choices: ['contain', 'cover', 'stretch'] },
+        color: COLOR_OPTION,
+        background: BACKGROUND_OPTION
+    },
+    createScript: (options) => scriptWithOptions(options, `${DRAW_MESSAGE_HELPER}
+let image = null;
+let error = null;
+let dirty = true;
+if (options.url) {
+    panel.loadImage(options.url, (bitmap, loadError) => { image = bitmap; error = loadError; dirty = true; });
+}
+function draw(ctx, canvas) {
+    if (!dirty) return false;
+    dirty = false;
+    if (!options.url) return drawMessage('No image URL set');
+    if (error) return drawMessage('Image failed to load: ' + error);
+    if (!image) return drawMessage('Loading...');
+
+    ctx.fillStyle = options.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (options.fit === 'stretch') {
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return;
+    }
+    const pick = options.fit === 'cover' ? Math.max : Math.min;
+    const scale = pick(canvas.width / image.width, canvas.height / image.height);
+    const w = image.width * scale;
+    const h = image.height * scale;
+    ctx.drawImage(image, (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+}
+function resize() { dirty = true; }
+`)
+});
+
+registerPanelType('lineChart', {
+    label: 'Line Chart',
+    options: {
+        dataSource: { type: 'string', label: 'Data source name', default: '' },
+        valueField: { type: 'string', label: 'Value field (blank = whole value, a.b for nested)', default: '' },
+        maxPoints: { type: 'number', label: 'Points shown', default: 100, min: 2, max: 2000, step: 1 },
+        lineColor: { type: 'color', label: 'Line color', default: '#33ccff' },
+        lineWidth: { type: 'number', label: 'Line width (px)', default: 2, min: 1, max: 10, step: 0.5 },
+        color: COLOR_OPTION,
+        background: BACKGROUND_OPTION
+    },
+    // An array payload replaces the series, anything else is appended as the next point
+    createScript: (options) => scriptWithOptions(options, `${PICK_FIELD_HELPER}${DRAW_MESSAGE_HELPER}
+let points = [];
+let dirty = true;
+if (options.dataSource) {
+    panel.useData(options.dataSource, (data) => {
+        if (Array.isArray(data)) {
+            points = data.map(item => Number(pickField(item, options.valueField)));
+        } else {
+            points.push(Number(pickField(data, options.valueField)));
+        }
+        points = points.filter(Number.isFinite).slice(-options.maxPoints);
+        dirty = true;
+    });
+}
+function draw(ctx, canvas) {
+    if (!dirty) return false;
+    dirty = false;
+    if (!options.dataSource) return drawMessage('No data source set');
+    if (points.length < 2) return drawMessage('Waiting for data...');
+
+    const padding = 30;
+    const min = Math.min(...points);
+    const max = Math.max(...points);
+    const range = max - min || 1;
+    const plotW = canvas.width - padding * 2;
+    const plotH = canvas.height - padding * 2;
+
+    ctx.fillStyle = options.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = options.color;
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(+max.toFixed(2)), 4, padding);
+    ctx.fillText(String(+min.toFixed(2)), 4, padding + plotH);
+
+    ctx.strokeStyle = options.lineColor;
+    ctx.lineWidth = options.lineWidth;
+    ctx.beginPath();
+    points.forEach((value, i) => {
+        const x = padding + (i / (points.length - 1)) * plotW;
+        const y = padding + (1 - (value - min) / range) * plotH;
+        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+}
+function resize() { dirty = true; }
+`)
+});
+
+registerPanelType('gauge', {
+    label: 'Gauge',
+    options: {
+        dataSource: { type: 'string', label: 'Data source name (blank = fixed value)', default: '' },
+        valueField: { type: 'string', label: 'Value field (blank = whole value, a.b for nested)', default: '' },
+        value: { type: 'number', label: 'Fixed value', default: 0 },
+        min: { type: 'number', label: 'Minimum', default: 0 },
+        max: { type: 'number', label: 'Maximum', default: 100 },
+        units: { type: 'string', label: 'Units', default: '' },
+        label: { type: 'string', label: 'Label', default: '' },
+        gaugeColor: { type: 'color', label: 'Gauge color', default: '#33cc66' },
+        color: COLOR_OPTION,
+        background: BACKGROUND_OPTION
+    },
+    createScript: (options) => scriptWithOptions(options, `${PICK_FIELD_HELPER}${DRAW_MESSAGE_HELPER}
+let value = options.value;
+let dirty = true;
+if (options.dataSource) {
+    value = null;
+    panel.useData(options.dataSource, (data) => {
+        const latest = Array.isArray(data) ? data[data.length - 1] : data;
+        value = Number(pickField(latest, options.valueField));
+        dirty = true;
+    });
+}
+function draw(ctx, canvas) {
+    if (!dirty) return false;
+    dirty = false;
+    if (value === null) return drawMessage('Waiting for data...');
+    if (!Number.isFinite(value)) return drawMessage('Value is not a number');
+
+    const range = (options.max - options.min) || 1;
+    const fraction = Math.min(1, Math.max(0, (value - options.min) / range));
+    const cx = canvas.width / 2;
+    const cy = canvas.height * 0.62;
+    const radius = Math.min(canvas.width * 0.4, canvas.height * 0.5);
+    const thickness = radius * 0.22;
+
+    ctx.fillStyle = options.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.lineWidth = thickness;
+    ctx.lineCap = 'butt';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, Math.PI, 2 * Math.PI);
+    ctx.stroke();
+    ctx.strokeStyle = options.gaugeColor;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, Math.PI, Math.PI + fraction * Math.PI);
+    ctx.stroke();
+
+    ctx.fillStyle = options.color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.font = 'bold ' + (radius * 0.35) + 'px sans-serif';
+    ctx.fillText(+value.toFixed(2) + (options.units ? ' ' + options.units : ''), cx, cy - radius * 0.05, radius * 1.5);
+    if (options.label) {
+        ctx.font = (radius * 0.18) + 'px sans-serif';
+        ctx.fillText(options.label, cx, cy + radius * 0.3, canvas.width - 20);
+    }
+}
+function resize() { dirty = true; }
+`)
+});
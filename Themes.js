@@ -0,0 +1,149 @@
+// --- Themes / Design Tokens ---
+// A theme is a flat set of tokens (see THEME_TOKENS). Panel-scoped tokens can be overridden
+// per panel (Panel.themeOverrides); scene-scoped ones (background, lights, handle color)
+// only come from the theme. Custom themes extend a built-in one:
+//   panelManager.themes.registerTheme('ocean', { frameColor: '#226688' }, { extends: 'dark' });
+
+// Token schema in OptionsForm format, plus the scope each token applies to
+export const THEME_TOKENS = {
+    frameColor: { type: 'color', label: 'Frame color', scope: 'panel' },
+    frameRoughness: { type: 'number', label: 'Frame roughness', min: 0, max: 1, step: 0.05, scope: 'panel' },
+    frameMetalness: { type: 'number', label: 'Frame metalness', min: 0, max: 1, step: 0.05, scope: 'panel' },
+    frameOpacity: { type: 'number', label: 'Frame opacity', min: 0.05, max: 1, step: 0.05, scope: 'panel' },
+    headerColor: { type: 'color', label: 'Header color', scope: 'panel' },
+    titleColor: { type: 'color', label: 'Title color', scope: 'panel' },
+    titleFont: { type: 'string', label: 'Title font (CSS)', scope: 'panel' },
+    screenBackground: { type: 'color', label: 'Screen background', scope: 'panel' },
+    chromeColor: { type: 'color', label: 'Gear and handle color', scope: 'scene' },
+    sceneBackground: { type: 'color', label: 'Scene background', scope: 'scene' },
+    sceneBackgroundImage: { type: 'string', label: 'Scene background image URL', scope: 'scene' },
+    ambientColor: { type: 'color', label: 'Ambient light color', scope: 'scene' },
+    ambientIntensity: { type: 'number', label: 'Ambient light intensity', min: 0, max: 3, step: 0.05, scope: 'scene' },
+    skyColor: { type: 'color', label: 'Sky light color', scope: 'scene' },
+    groundColor: { type: 'color', label: 'Ground light color', scope: 'scene' },
+    hemisphereIntensity: { type: 'number', label: 'Sky light intensity', min: 0, max: 3, step: 0.05, scope: 'scene' }
+};
+
+export const PANEL_THEME_TOKENS = Object.fromEntries(Object.entries(THEME_TOKENS).filter(([, token]) => token.scope === 'panel'));
+
+export const DEFAULT_THEME = 'dark';
+
+const BUILT_IN_THEMES = {
+    // The original look
+    dark: {
+        frameColor: '#888888',
+        frameRoughness: 0.6,
+        frameMetalness: 0.2,
+        frameOpacity: 1,
+        headerColor: '#333333',
+        titleColor: '#ffffff',
+        titleFont: 'bold 24px sans-serif',
+        screenBackground: '#000000',
+        chromeColor: '#cccccc',
+        sceneBackground: '#555555',
+        sceneBackgroundImage: 'images/perc-bkgd.webp',
+        ambientColor: '#ffffff',
+        ambientIntensity: 0.8,
+        skyColor: '#ffffff',
+        groundColor: '#888888',
+        hemisphereIntensity: 0.5
+    },
+    light: {
+        frameColor: '#f2f2f2',
+        frameRoughness: 0.8,
+        frameMetalness: 0,
+        headerColor: '#dddddd',
+        titleColor: '#222222',
+        screenBackground: '#ffffff',
+        chromeColor: '#555555',
+        sceneBackground: '#e8eaed',
+        sceneBackgroundImage: '',
+        ambientIntensity: 1.0,
+        groundColor: '#cccccc',
+        hemisphereIntensity: 0.6
+    },
+    glass: {
+        frameColor: '#bfe6ff',
+        frameRoughness: 0.05,
+        frameMetalness: 0,
+        frameOpacity: 0.35,
+        headerColor: '#6a8fa8',
+        screenBackground: '#0a1a26',
+        chromeColor: '#e0f4ff',
+        sceneBackground: '#1c2a36',
+        sceneBackgroundImage: '',
+        skyColor: '#cce8ff',
+        groundColor: '#203040',
+        hemisphereIntensity: 0.8
+    },
+    metal: {
+        frameColor: '#b0b4b8',
+        frameRoughness: 0.25,
+        frameMetalness: 0.9,
+        headerColor: '#5a5e62',
+        titleFont: 'bold 24px "Helvetica Neue", Arial, sans-serif',
+        screenBackground: '#111315',
+        chromeColor: '#e6e6e6',
+        sceneBackground: '#2b2d30',
+        sceneBackgroundImage: '',
+        ambientIntensity: 0.6,
+        skyColor: '#ffffff',
+        groundColor: '#444444',
+        hemisphereIntensity: 1.2
+    }
+};
+
+export class ThemeManager {
+    constructor(initialTheme = DEFAULT_THEME) {
+        this.themes = new Map(); // name -> complete token set
+        this.changeListeners = new Set(); // (tokens, name) => void
+
+        this.themes.set(DEFAULT_THEME, { ...BUILT_IN_THEMES[DEFAULT_THEME] });
+        Object.entries(BUILT_IN_THEMES).forEach(([name, tokens]) => {
+            if (name !== DEFAULT_THEME) this.registerTheme(name, tokens);
+        });
+        this.activeTheme = this.themes.has(initialTheme) ? initialTheme : DEFAULT_THEME;
+    }
+
+    // Tokens left out are inherited from the extended theme
+    registerTheme(name, tokens, { extends: base = DEFAULT_THEME } = {}) {
+        if (!this.themes.has(base)) throw new Error(`Theme "${name}" extends unknown theme "${base}"`);
+        const unknown = Object.keys(tokens).filter(key => !THEME_TOKENS[key]);
+        if (unknown.length > 0) throw new Error(`Theme "${name}" has unknown tokens: ${unknown.join(', ')}`);
+        this.themes.set(name, { ...this.themes.get(base), ...tokens });
+        if (name === this.activeTheme) this._notify();
+    }
+
+    getThemeNames() {
+        return [...this.themes.keys()];
+    }
+
+    getActiveTheme() {
+        return this.activeTheme;
+    }
+
+    getTokens() {
+        return { ...this.themes.get(this.activeTheme) };
+    }
+
+    getToken(key) {
+        return this.themes.get(this.activeTheme)[key];
+    }
+
+    setTheme(name) {
+        if (!this.themes.has(name)) throw new Error(`Unknown theme "${name}"`);
+        if (name === this.activeTheme) return;
+        this.activeTheme = name;
+        this._notify();
+    }
+
+    onChange(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+
+    _notify() {
+        const tokens = this.getTokens();
+        this.changeListeners.forEach(listener => listener(tokens, this.activeTheme));
+    }
+}
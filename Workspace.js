@@ -0,0 +1,360 @@
+import { LAYOUT_FORMAT, LAYOUT_SCHEMA_VERSION } from './LayoutStore.js';
+
+// --- Workspace ---
+// Several named dashboards ("Ops", "Sales", ...) on top of the single PanelManager.
+// Only the active dashboard is live in the scene; the others are kept as layout documents
+// (see LayoutStore) and loaded into the PanelManager when switched to.
+// Saved as one document:
+// { format: 'panlz-workspace', version, activeDashboardId, dashboards: [{ id, name, layout }] }
+// A layout opened from a share link is previewed on its own (see openPreview) and only joins the
+// saved dashboards once the user keeps it.
+
+export const WORKSPACE_FORMAT = 'panlz-workspace';
+export const WORKSPACE_SCHEMA_VERSION = 1;
+
+const DEFAULT_STORAGE_KEY = 'panlz.workspace';
+const AUTOSAVE_DELAY_MS = 500;
+
+// Switching swings the old panels out to one side, then the new ones in from the other
+const TRANSITION_PHASE_SECONDS = 0.35;
+const TRANSITION_ANGLE = Math.PI / 2;
+const TRANSITION_DEPTH = 6; // How far panels sink back (world units) at the widest point of the swing
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+export class Workspace {
+    constructor(panelManager, options = {}) {
+        this.panelManager = panelManager;
+        this.storageKey = options.storageKey || DEFAULT_STORAGE_KEY;
+        this.autosaveTimeout = null;
+
+        this.dashboards = []; // { id, name, layout } - layout is stale for the active one, see _captureActive
+        this.activeDashboardId = null;
+        this.nextDashboardId = 0;
+        this.changeListeners = new Set(); // () => void, for the tab bar
+
+        this.transition = null; // { phase: 'out' | 'in', elapsed, direction, targetId }
+        this.pendingSwitchId = null; // Requested while a transition was running
+        this.preview = null; // { name } while a shared layout is shown instead of the active dashboard
+
+        panelManager.onLayoutChange(() => this.scheduleAutosave());
+    }
+
+    // --- Queries ---
+
+    getDashboards() {
+        return this.dashboards.map(({ id, name }) => ({ id, name, isActive: !this.preview && id === this.activeDashboardId }));
+    }
+
+    // { name } of the shared layout on screen, or null
+    getPreview() {
+        return this.preview;
+    }
+
+    getActiveDashboard() {
+        return this._getDashboard(this.activeDashboardId);
+    }
+
+    isTransitioning() {
+        return this.transition !== null;
+    }
+
+    onChange(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+
+    _getDashboard(id) {
+        return this.dashboards.find(d => d.id === id) || null;
+    }
+
+    _notifyChanged() {
+        this.changeListeners.forEach(listener => listener());
+        this.scheduleAutosave();
+    }
+
+    // Refreshes the stored layout of the live dashboard from the PanelManager
+    _captureActive() {
+        if (this.preview) return; // The PanelManager shows the preview, the active dashboard is unchanged
+        const active = this.getActiveDashboard();
+        if (active) active.layout = this.panelManager.toJSON();
+    }
+
+    _uniqueName(base) {
+        let name = base;
+        for (let i = 2; this.dashboards.some(d => d.name === name); i++) name = `${base} ${i}`;
+        return name;
+    }
+
+    _emptyLayout() {
+        const config = this.panelManager.initialConfig;
+        return {
+            format: LAYOUT_FORMAT,
+            version: LAYOUT_SCHEMA_VERSION,
+            grid: {
+                gridUnitsX: config.gridUnitsX || 6,
+                gridCellWidth: config.gridCellWidth || 2.0,
+                gridSpacingPx: config.gridSpacingPx || 10,
+                floatUp: config.floatUp ?? false
+            },
+            panels: [],
+            dataSources: [],
+            state: {}
+        };
+    }
+
+    // --- Dashboard Operations ---
+
+    // Makes whatever the PanelManager currently shows the first dashboard (startup, or a legacy single-layout save)
+    adoptCurrentLayout(name = 'Dashboard 1') {
+        if (this.dashboards.length > 0) return;
+        const dashboard = { id: this.nextDashboardId++, name, layout: this.panelManager.toJSON() };
+        this.dashboards.push(dashboard);
+        this.activeDashboardId = dashboard.id;
+        this._notifyChanged();
+    }
+
+    create(name) {
+        const dashboard = { id: this.nextDashboardId++, name: this._uniqueName(name || 'Dashboard'), layout: this._emptyLayout() };
+        this.dashboards.push(dashboard);
+        this._notifyChanged();
+        this.switchTo(dashboard.id);
+        return dashboard.id;
+    }
+
+    rename(id, name) {
+        const dashboard = this._getDashboard(id);
+        const trimmed = (name || '').trim();
+        if (!dashboard || !trimmed || trimmed === dashboard.name) return;
+        dashboard.name = trimmed;
+        this._notifyChanged();
+    }
+
+    duplicate(id) {
+        const source = this._getDashboard(id);
+        if (!source) return null;
+        if (id === this.activeDashboardId) this._captureActive();
+        const copy = {
+            id: this.nextDashboardId++,
+            name: this._uniqueName(`${source.name} (copy)`),
+            layout: JSON.parse(JSON.stringify(source.layout))
+        };
+        this.dashboards.splice(this.dashboards.indexOf(source) + 1, 0, copy);
+        this._notifyChanged();
+        this.switchTo(copy.id);
+        return copy.id;
+    }
+
+    // The last dashboard can't be deleted; deleting the active one switches to its neighbour first.
+    // Both happen instantly: mid-swing, activeDashboardId still names the dashboard being left, and
+    // an autosave then would point it at the deleted one.
+    delete(id) {
+        const index = this.dashboards.findIndex(d => d.id === id);
+        if (index === -1 || this.dashboards.length <= 1) return false;
+        if (this.transition) {
+            const { phase, targetId } = this.transition;
+            this._finishTransition();
+            const target = this._getDashboard(targetId);
+            if (phase === 'out' && targetId !== id && target) this._activate(target); // Arrive where it was heading
+        }
+        if (id === this.activeDashboardId) {
+            const neighbour = this.dashboards[index + 1] || this.dashboards[index - 1];
+            this.switchTo(neighbour.id, { instant: true });
+        }
+        if (this.pendingSwitchId === id) this.pendingSwitchId = null;
+        this.dashboards = this.dashboards.filter(d => d.id !== id);
+        this._notifyChanged();
+        return true;
+    }
+
+    // Loads another dashboard into the PanelManager, animated unless instant
+    switchTo(id, { instant = false } = {}) {
+        const target = this._getDashboard(id);
+        if (!target || (id === this.activeDashboardId && !this.transition && !this.preview)) return;
+        if (this.transition && !instant) {
+            this.pendingSwitchId = id; // Finish the running swing first
+            return;
+        }
+
+        const fromIndex = this.dashboards.findIndex(d => d.id === this.activeDashboardId);
+        const direction = this.dashboards.indexOf(target) >= fromIndex ? 1 : -1;
+        if (instant || this.panelManager.panels.length === 0) {
+            this._finishTransition();
+            this._activate(target);
+            if (!instant) this.transition = { phase: 'in', elapsed: 0, direction, targetId: id };
+            this.panelManager.requestRender();
+            this._applyTransitionPose();
+            return;
+        }
+        this.transition = { phase: 'out', elapsed: 0, direction, targetId: id };
+        this.panelManager.requestRender();
+    }
+
+    _activate(dashboard) {
+        this._captureActive();
+        this.panelManager.loadLayout(dashboard.layout);
+        this.preview = null;
+        this.panelManager.history.clear(); // Entries refer to the other dashboard's panels
+        this.activeDashboardId = dashboard.id;
+        this._notifyChanged();
+    }
+
+    // --- Shared Layout Preview ---
+
+    // Shows layout in place of the active dashboard without changing any saved dashboard.
+    // Its panel code stays held (see PanelManager.loadLayout) until runHeldScripts or adoptPreview.
+    // Throws (keeping the current content) if the layout can't be loaded.
+    openPreview(layout, name) {
+        this._finishTransition();
+        this.pendingSwitchId = null;
+        this._captureActive();
+        this.panelManager.loadLayout(layout, { trusted: false });
+        this.panelManager.history.clear();
+        this.preview = { name };
+        this._notifyChanged();
+    }
+
+    // Keeps the previewed layout, as it is now, as a new dashboard; returns its id
+    adoptPreview() {
+        if (!this.preview) return null;
+        this.panelManager.runHeldScripts(); // The user's own dashboards always run
+        const dashboard = { id: this.nextDashboardId++, name: this._uniqueName(this.preview.name), layout: this.panelManager.toJSON() };
+        this.dashboards.push(dashboard);
+        this.activeDashboardId = dashboard.id;
+        this.preview = null;
+        this._notifyChanged();
+        return dashboard.id;
+    }
+
+    // Back to the active dashboard
+    closePreview() {
+        if (this.preview) this.switchTo(this.activeDashboardId);
+    }
+
+    // --- Transition Animation ---
+
+    update(deltaTime) {
+        if (!this.transition) return;
+        const transition = this.transition;
+        transition.elapsed += deltaTime;
+
+        if (transition.elapsed >= TRANSITION_PHASE_SECONDS) {
+            if (transition.phase === 'out') {
+                const target = this._getDashboard(transition.targetId);
+                if (target) this._activate(target);
+                this.transition = { ...transition, phase: 'in', elapsed: 0 };
+            } else {
+                this._finishTransition();
+                if (this.pendingSwitchId !== null) {
+                    const next = this.pendingSwitchId;
+                    this.pendingSwitchId = null;
+                    this.switchTo(next);
+                }
+                return;
+            }
+        }
+        this._applyTransitionPose();
+    }
+
+    // Panels keep their layout position in targetPosition; the swing is applied on top of it
+    _applyTransitionPose() {
+        if (!this.transition) return;
+        const { phase, elapsed, direction } = this.transition;
+        const t = easeInOutCubic(Math.min(1, elapsed / TRANSITION_PHASE_SECONDS));
+        // -1 = fully swung out to the left, 0 = in place, 1 = waiting on the right
+        const offset = phase === 'out' ? -direction * t : direction * (1 - t);
+        const manager = this.panelManager;
+        const travel = manager.gridUnitsX * (manager.gridCellWidth + manager.gridSpacing);
+
+        manager.panels.forEach(panel => {
+            const group = panel.meshGroup;
+            group.position.set(
+                panel.targetPosition.x + offset * travel,
+                panel.targetPosition.y,
+                panel.targetPosition.z - Math.abs(offset) * TRANSITION_DEPTH
+            );
+            group.rotation.set(0, -offset * TRANSITION_ANGLE, 0);
+        });
+    }
+
+    _finishTransition() {
+        if (!this.transition) return;
+        this.transition = null;
+        this.panelManager.panels.forEach(panel => {
+            panel.meshGroup.position.copy(panel.targetPosition);
+            panel.meshGroup.quaternion.identity();
+        });
+    }
+
+    // --- Persistence ---
+
+    toJSON() {
+        this._captureActive();
+        return {
+            format: WORKSPACE_FORMAT,
+            version: WORKSPACE_SCHEMA_VERSION,
+            activeDashboardId: this.activeDashboardId,
+            dashboards: this.dashboards.map(({ id, name, layout }) => ({ id, name, layout }))
+        };
+    }
+
+    // Throws on unusable documents before anything is replaced
+    load(doc) {
+        if (!doc || doc.format !== WORKSPACE_FORMAT) throw new Error('Not a workspace document');
+        if (doc.version > WORKSPACE_SCHEMA_VERSION) {
+            throw new Error(`Workspace version ${doc.version} is newer than supported version ${WORKSPACE_SCHEMA_VERSION}`);
+        }
+        if (!Array.isArray(doc.dashboards) || doc.dashboards.length === 0) throw new Error('Workspace has no dashboards');
+
+        this._finishTransition();
+        this.pendingSwitchId = null;
+        this.dashboards = doc.dashboards.map(({ id, name, layout }) => ({ id, name, layout }));
+        this.nextDashboardId = Math.max(...this.dashboards.map(d => d.id)) + 1;
+        const active = this._getDashboard(doc.activeDashboardId) || this.dashboards[0];
+        this.activeDashboardId = null; // Nothing to capture: the PanelManager still shows the old content
+        this._activate(active);
+    }
+
+    scheduleAutosave() {
+        clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = setTimeout(() => this.saveToLocalStorage(), AUTOSAVE_DELAY_MS);
+    }
+
+    saveToLocalStorage() {
+        clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = null;
+        if (this.dashboards.length === 0) return false;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+            return true;
+        } catch (error) {
+            console.error('Failed to save workspace to localStorage:', error);
+            return false;
+        }
+    }
+
+    // Falls back to a single-dashboard save from before workspaces existed
+    loadFromLocalStorage() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            console.error('Failed to read workspace from localStorage:', error);
+        }
+        if (stored) {
+            try {
+                this.load(JSON.parse(stored));
+                return true;
+            } catch (error) {
+                console.error('Saved workspace could not be loaded:', error);
+            }
+        }
+        if (this.panelManager.layoutStore.loadFromLocalStorage()) {
+            this.adoptCurrentLayout();
+            return true;
+        }
+        return false;
+    }
+}
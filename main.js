@@ -1,6 +1,23 @@
 import * as THREE from 'three';
 // import { OrbitControls } from 'three/addons/controls/OrbitControls.js'; // Removed for now
-import { PanelManager } from './PanelManager.js';
+import { PanelManager, PANEL_MANAGER_MODES } from './PanelManager.js';
+import { Workspace } from './Workspace.js';
+import { getPanelType } from './PanelTypes.js';
+import { readOptionsForm } from './OptionsForm.js';
+import { PANEL_THEME_TOKENS } from './Themes.js';
+import { setChromeColor } from './Panel.js';
+import { toAssetRef } from './AssetLibrary.js';
+import { MAX_SHARE_URL_LENGTH, isShareHash, readShareHash } from './LayoutStore.js';
+import { LOG_LEVELS, setLogLevel, debug } from './Log.js';
+
+// ?log=debug (or info/warn/silent) turns on the chatty layout/rebuild diagnostics
+const requestedLogLevel = new URLSearchParams(window.location.search).get('log');
+if (requestedLogLevel && LOG_LEVELS.includes(requestedLogLevel)) setLogLevel(requestedLogLevel);
+else if (requestedLogLevel) console.warn(`Ignoring unknown ?log=${requestedLogLevel} (expected ${LOG_LEVELS.join(', ')})`);
+// ?mode=view opens the dashboards for presenting: no handles, settings or layout changes
+const modeParam = new URLSearchParams(window.location.search).get('mode');
+if (modeParam && !PANEL_MANAGER_MODES.includes(modeParam)) console.warn(`Ignoring unknown ?mode=${modeParam} (expected ${PANEL_MANAGER_MODES.join(', ')})`);
+const requestedMode = PANEL_MANAGER_MODES.includes(modeParam) ? modeParam : 'edit';
 
 // --- Scene Setup ---
 const scene = new THREE.Scene();
@@ -11,7 +28,7 @@ camera.lookAt(0, 0, 0); // <<< ADDED: Explicitly look at the origin
 const renderer = new THREE.WebGLRenderer({ antialias: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
 renderer.setPixelRatio(window.devicePixelRatio);
-renderer.setClearColor(0x555555); // <<< ADDED: Set background to medium gray for debugging
+renderer.setClearColor(0x555555); // Replaced by the theme's sceneBackground once the PanelManager exists
 document.body.appendChild(renderer.domElement);
 
 // --- Lighting (General, Non-directional) ---
@@ -22,23 +39,36 @@ hemisphereLight.position.set(0, 20, 0);
 scene.add(hemisphereLight);
 
 // --- Background Texture ---
-// We still try to load it, but the gray clear color will show if it fails or is obscured
+// Set from the theme (sceneBackgroundImage); the clear color shows if it fails or is obscured
 const textureLoader = new THREE.TextureLoader();
-const bgTextureUrl = 'images/perc-bkgd.webp';
-textureLoader.load(
-    bgTextureUrl,
-    (texture) => {
-        texture.colorSpace = THREE.SRGBColorSpace;
-        scene.background = texture; // This will draw *over* the gray clear color if successful
-        console.log('Background texture loaded successfully.');
-    },
-    undefined, // Progress callback (optional)
-    (error) => {
-        console.error(`Error loading background texture from ${bgTextureUrl}:`, error);
-        // No need for fallback color here now, gray clear color is the fallback
-        // scene.background = new THREE.Color(0x202025);
+const backgroundTextures = new Map(); // URL -> texture, so switching themes back and forth loads once
+let requestedBackgroundUrl = null;
+
+function setSceneBackground(color, imageUrl) {
+    renderer.setClearColor(color);
+    requestedBackgroundUrl = imageUrl || null;
+    if (!imageUrl) {
+        scene.background = new THREE.Color(color);
+        return;
     }
-);
+    if (backgroundTextures.has(imageUrl)) {
+        scene.background = backgroundTextures.get(imageUrl);
+        return;
+    }
+    scene.background = new THREE.Color(color); // Until the image arrives
+    textureLoader.load(
+        imageUrl,
+        (texture) => {
+            texture.colorSpace = THREE.SRGBColorSpace;
+            backgroundTextures.set(imageUrl, texture);
+            if (requestedBackgroundUrl === imageUrl) scene.background = texture; // Theme may have changed meanwhile
+            debug('Background texture loaded successfully.');
+            requestRender();
+        },
+        undefined, // Progress callback (optional)
+        (error) => console.error(`Error loading background texture from ${imageUrl}:`, error)
+    );
+}
 
 // --- Simple Test Cube ---
 const testGeo = new THREE.BoxGeometry(2, 2, 2); // Made slightly larger
@@ -46,7 +76,7 @@ const testMat = new THREE.MeshBasicMaterial({ color: 0xff0000 }); // Bright red
 const testCube = new THREE.Mesh(testGeo, testMat);
 testCube.position.set(0, 0, 0); // Place at origin
 scene.add(testCube);
-console.log('--- Added Test Cube to Scene ---'); // Log confirmation
+debug('--- Added Test Cube to Scene ---'); // Log confirmation
 // ----------------------
 
 
@@ -55,20 +85,53 @@ console.log('--- Added Test Cube to Scene ---'); // Log confirmation
 const panelManager = new PanelManager(scene, camera, renderer.domElement, {
     gridUnitsX: 6,
     gridCellWidth: 2.0, // Width of a 1/6 panel unit in world space
-    gridSpacingPx: 10 // Initial spacing in pixels
+    gridSpacingPx: 10, // Initial spacing in pixels
+    // Column count by canvas width; each keeps its own panel arrangement (derived until edited)
+    breakpoints: [
+        { name: 'wide', minWidth: 1600, columns: 12 },
+        { name: 'medium', minWidth: 800, columns: 6 },
+        { name: 'narrow', minWidth: 0, columns: 2 }
+    ],
+    scriptTimeoutMs: 500, // Panel scripts running longer than this are terminated
+    // Panel screens render at devicePixelRatio x zoom, up to this ratio and texture size
+    canvasResolution: { maxPixelRatio: 3, maxTextureSize: 2048 },
+    maxAnisotropy: renderer.capabilities.getMaxAnisotropy(),
+    headerButtons: ['close', 'maximize', 'collapse', 'duplicate', 'refresh'], // Right to left, next to the gear
+    persistence: { autosave: false } // The workspace saves all dashboards together
 });
 
+// --- Theme (scene-wide tokens; panels style themselves) ---
+function applySceneTheme(tokens) {
+    setSceneBackground(tokens.sceneBackground, tokens.sceneBackgroundImage);
+    ambientLight.color.set(tokens.ambientColor);
+    ambientLight.intensity = tokens.ambientIntensity;
+    hemisphereLight.color.set(tokens.skyColor);
+    hemisphereLight.groundColor.set(tokens.groundColor);
+    hemisphereLight.intensity = tokens.hemisphereIntensity;
+    setChromeColor(tokens.chromeColor);
+}
+panelManager.themes.onChange(applySceneTheme);
+applySceneTheme(panelManager.themes.getTokens());
+
+// --- Workspace (several named dashboards, one live at a time) ---
+const workspace = new Workspace(panelManager);
+
 // --- Initial Panels (Prompt v1 Layout) ---
 // Set initial spacing (calculates world units from pixels) using the value stored in panelManager
 panelManager.setSpacing(panelManager.gridSpacingPx);
 
-panelManager.addPanel({ gridX: 0, gridY: 0, widthUnits: 6, title: 'Top Full Width' });
-panelManager.addPanel({ gridX: 0, gridY: 1, widthUnits: 3, title: 'Left 1' });
-panelManager.addPanel({ gridX: 3, gridY: 1, widthUnits: 3, title: 'Right 1' });
-panelManager.addPanel({ gridX: 0, gridY: 2, widthUnits: 3, title: 'Left 2' });
-panelManager.addPanel({ gridX: 3, gridY: 2, widthUnits: 3, title: 'Right 2' });
-panelManager.addPanel({ gridX: 0, gridY: 3, widthUnits: 3, title: 'Left 3' });
-panelManager.addPanel({ gridX: 3, gridY: 3, widthUnits: 3, title: 'Right 3' });
+// Restore the autosaved workspace if there is one, otherwise build the default layout
+if (!workspace.loadFromLocalStorage()) {
+    panelManager.addPanel({ gridX: 0, gridY: 0, widthUnits: 6, title: 'Top Full Width' });
+    panelManager.addPanel({ gridX: 0, gridY: 1, widthUnits: 3, title: 'Left 1' });
+    panelManager.addPanel({ gridX: 3, gridY: 1, widthUnits: 3, title: 'Right 1' });
+    panelManager.addPanel({ gridX: 0, gridY: 2, widthUnits: 3, title: 'Left 2' });
+    panelManager.addPanel({ gridX: 3, gridY: 2, widthUnits: 3, title: 'Right 2' });
+    panelManager.addPanel({ gridX: 0, gridY: 3, widthUnits: 3, title: 'Left 3' });
+    panelManager.addPanel({ gridX: 3, gridY: 3, widthUnits: 3, title: 'Right 3' });
+    workspace.adoptCurrentLayout();
+}
+panelManager.updateBreakpoint({ animate: false }); // The default layout is designed for 6 columns
 
 
 // --- Resize Listener ---
@@ -76,36 +139,71 @@ window.addEventListener('resize', () => {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.setPixelRatio(window.devicePixelRatio);
     // Recalculate spacing in world units and update layout
     panelManager.setSpacing(panelManager.getCurrentSpacingPx()); // Maintain pixel spacing
     // updateLayout() is called within setSpacing
+    panelManager.updateBreakpoint(); // Animated switch when the width crosses a breakpoint
+    panelManager.updateCanvasResolutions(); // devicePixelRatio changes fire resize too
+    requestRender();
 }, false);
 
-// --- Animation Loop ---
+// --- Animation Loop (render on demand) ---
+// Frames are only scheduled when something asked for one (panelManager.requestRender) or an
+// animation is still running. Animated panel scripts wake the loop with a timer at their own
+// frame rate, so an idle dashboard schedules no frames at all.
+const MAX_ANIMATION_STEP = 1 / 30; // Seconds; the first frame after an idle gap must not jump
 const clock = new THREE.Clock();
-function animate() {
-    requestAnimationFrame(animate);
-    console.log("Animate loop running..."); // <<< ADDED: Log to confirm loop runs
+let frameScheduled = false;
+let renderRequested = true;
+let scriptTimer = null;
 
-    const deltaTime = clock.getDelta();
+function scheduleFrame() {
+    if (frameScheduled) return;
+    frameScheduled = true;
+    requestAnimationFrame(animate);
+}
 
-    panelManager.update(deltaTime); // Update panel animations (like jiggle)
+function requestRender() {
+    renderRequested = true;
+    scheduleFrame();
+}
+panelManager.onRenderRequest(requestRender);
 
-    // Optional: Rotate the test cube slowly to prove animation loop runs
-    // testCube.rotation.x += 0.01;
-    // testCube.rotation.y += 0.01;
+function animate() {
+    frameScheduled = false;
+    const deltaTime = clock.getDelta(); // Real time since the last frame, however long the idle gap
+    const step = Math.min(deltaTime, MAX_ANIMATION_STEP);
+
+    panelManager.update(step); // Update panel animations (like jiggle)
+    panelManager.updateScripts(deltaTime); // Tick draw() hooks of animated panel scripts
+    const cameraMoving = panelManager.cameraController.update(step); // Ease towards the scroll/zoom/focus target
+    workspace.update(step); // Dashboard switch animation
+    panelManager.updateLayoutTransition(step); // Breakpoint layout morph
+
+    const animating = cameraMoving || workspace.isTransitioning() || panelManager.isAnimating();
+    if (animating || renderRequested) {
+        renderRequested = false;
+        renderer.render(scene, camera);
+    }
 
-    renderer.render(scene, camera);
+    clearTimeout(scriptTimer);
+    if (animating) {
+        scheduleFrame();
+    } else {
+        const delay = panelManager.getNextScriptDrawDelay();
+        if (delay < Infinity) scriptTimer = setTimeout(scheduleFrame, delay * 1000);
+    }
 }
 
-animate();
+scheduleFrame();
 
 // --- UI Event Listeners (Connect HTML UI to PanelManager) ---
 // Make PanelManager globally accessible for UI interaction (simplest method for now)
 window.panelManager = panelManager;
+window.workspace = workspace;
 
 const settingsPanel = document.getElementById('settings-panel');
-const jsCodePopup = document.getElementById('js-code-popup');
 const spacingSlider = document.getElementById('panel-spacing');
 
 // Initialize slider value based on manager's current pixel spacing
@@ -116,7 +214,7 @@ document.getElementById('close-settings-button').addEventListener('click', () =>
 });
 
 document.getElementById('close-js-code-button').addEventListener('click', () => {
-    jsCodePopup.style.display = 'none';
+    panelManager.closeJsCodePopup(); // Also drops an unsaved live preview
 });
 
 document.getElementById('apply-js-button').addEventListener('click', () => {
@@ -124,57 +222,318 @@ document.getElementById('apply-js-button').addEventListener('click', () => {
     const panel = panelManager.getPanelById(panelId);
     if (panel) {
         document.getElementById('js-panel-id').value = panelId;
-        document.getElementById('js-code-input').value = panel.jsCode || ''; // Load existing code
-        jsCodePopup.style.display = 'flex'; // Use flex for layout
-        settingsPanel.style.display = 'none'; // Hide settings while editing code
+        panelManager.openJsCodePopup(panel); // Hides settings while editing code
     }
 });
 
 document.getElementById('run-js-code-button').addEventListener('click', () => {
-    const panelId = document.getElementById('js-panel-id').value;
-    const code = document.getElementById('js-code-input').value;
-    const panel = panelManager.getPanelById(panelId);
-    if (panel) {
-        panel.setJsCode(code); // Store and execute the code
-    }
-    jsCodePopup.style.display = 'none';
+    panelManager.runJsCodePopup(); // Store and execute the code in the panel's sandbox (undoable); Ctrl+Enter in the editor
 });
 
+document.getElementById('js-live-preview').addEventListener('change', (e) => {
+    panelManager.setLivePreview(e.target.checked);
+});
+
+document.getElementById('clear-js-console-button').addEventListener('click', () => panelManager.clearJsConsole());
+
 
 document.getElementById('apply-settings-button').addEventListener('click', () => {
     const panelId = document.getElementById('settings-panel-id').value;
-    const applyToAll = document.getElementById('apply-to-all').checked;
-    const textureInput = document.getElementById('texture-upload');
+    const targets = panelManager.getTargetPanels(panelManager.getPanelById(panelId));
     const cornerRadius = parseFloat(document.getElementById('corner-radius').value);
     const bevelSize = parseFloat(document.getElementById('bevel-size').value);
     const screenOpacity = parseFloat(document.getElementById('screen-opacity').value);
+    const targetFps = parseInt(document.getElementById('target-fps').value);
     const spacingPx = parseInt(spacingSlider.value);
 
     const settings = {
         cornerRadius,
         bevelSize,
         screenOpacity,
-        textureFile: textureInput.files.length > 0 ? textureInput.files[0] : null,
-        // Let Panel determine if texture needs removing based on file input state vs current state
-         textureUrl: textureInput.files.length === 0 && panelManager.getPanelById(panelId)?.frameTextureUrl ? null : undefined // Request removal if input empty but texture exists
+        targetFps,
+        frameTextures: panelManager.readFrameTextureForms()
     };
 
      // Apply spacing change separately
      panelManager.setSpacing(spacingPx);
 
-    // Apply other settings
-    panelManager.applySettings(panelId, settings, applyToAll);
+    // Theme overrides: only values that differ from the active theme are kept
+    const themeValues = readOptionsForm(document.getElementById('theme-overrides'), PANEL_THEME_TOKENS);
+    const overrides = Object.fromEntries(Object.entries(themeValues)
+        .filter(([key, value]) => value !== undefined && value !== panelManager.themes.getToken(key)));
+    panelManager.setPanelThemeOverrides(panelId, overrides);
+
+    // Content type and options belong to this panel only, even with several panels selected
+    const panelType = document.getElementById('panel-type').value;
+    if (getPanelType(panelType)) {
+        const options = readOptionsForm(document.getElementById('panel-type-options'), getPanelType(panelType).options);
+        panelManager.setPanelType(panelId, panelType, options);
+    }
 
+    // Apply other settings
+    panelManager.applySettings(targets.map(p => p.id), settings);
 
-    // Clear file input after applying (optional, might be annoying)
-    // textureInput.value = '';
 
-    if (!applyToAll) { // Keep panel open if applying to all for further global changes
+    if (targets.length <= 1) { // Keep panel open for a selection, for further changes to the group
        settingsPanel.style.display = 'none';
     }
 });
 
+document.getElementById('reset-theme-overrides-button').addEventListener('click', () => {
+    const panelId = document.getElementById('settings-panel-id').value;
+    panelManager.setPanelThemeOverrides(panelId, {});
+    panelManager.openSettingsPanel(panelManager.getPanelById(panelId)); // Refresh the form
+});
+
+// Uploads go to the asset library and are pre-selected for every region (applied with "Apply")
+document.getElementById('texture-upload').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+        const asset = await panelManager.assets.add(file);
+        const frameTextures = panelManager.readFrameTextureForms();
+        Object.keys(frameTextures).forEach(region => {
+            frameTextures[region] = { ...(frameTextures[region] || {}), source: toAssetRef(asset.id) };
+        });
+        await panelManager.renderFrameTextureForms(frameTextures);
+    } catch (error) {
+        alert(`Could not add image: ${error.message}`);
+    }
+    event.target.value = '';
+});
+
+// --- Theme Picker ---
+const themeSelect = document.getElementById('theme-select');
+themeSelect.replaceChildren(...panelManager.themes.getThemeNames().map(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+    return option;
+}));
+themeSelect.value = panelManager.themes.getActiveTheme();
+themeSelect.addEventListener('change', () => panelManager.setTheme(themeSelect.value));
+panelManager.themes.onChange((tokens, name) => { themeSelect.value = name; });
+
+// --- Selection Arrange Commands ---
+const arrangeSelect = document.getElementById('arrange-select');
+arrangeSelect.addEventListener('change', () => {
+    if (arrangeSelect.value === 'width') panelManager.equalizeSelectionWidths();
+    else if (arrangeSelect.value) panelManager.alignSelection(arrangeSelect.value);
+    arrangeSelect.value = ''; // Back to the "Arrange…" prompt, so the same command can run again
+});
+panelManager.onSelectionChange((panels) => { arrangeSelect.disabled = panels.length < 2; });
+
+// --- Edit / View Mode ---
+const modeButton = document.getElementById('mode-button');
+modeButton.addEventListener('click', () => panelManager.setMode(panelManager.isViewMode ? 'edit' : 'view'));
+panelManager.onModeChange((mode) => {
+    document.body.classList.toggle('view-mode', mode === 'view');
+    modeButton.textContent = mode === 'view' ? 'Edit Mode' : 'View Mode';
+});
+panelManager.setMode(requestedMode);
+
+// Switching the type shows its fields; the panel's own options come back when switching back
+document.getElementById('panel-type').addEventListener('change', (e) => {
+    const panel = panelManager.getPanelById(document.getElementById('settings-panel-id').value);
+    panelManager.renderPanelTypeForm(e.target.value, panel?.type === e.target.value ? panel.typeOptions : {});
+});
+
+// Grid-wide setting, applied immediately like spacing
+document.getElementById('float-up').addEventListener('change', (e) => {
+    panelManager.setFloatUp(e.target.checked);
+});
+
 // Update layout dynamically when spacing slider changes
 spacingSlider.addEventListener('input', (e) => {
     panelManager.setSpacing(parseInt(e.target.value));
 });
+// One scrub = one undo step
+spacingSlider.addEventListener('change', () => {
+    panelManager.history.closeEntry();
+});
+
+// Spacing also changes through undo/redo (buttons or Ctrl+Z / Ctrl+Shift+Z) and imports
+panelManager.onLayoutChange(() => {
+    spacingSlider.value = panelManager.getCurrentSpacingPx();
+});
+
+// --- Undo / Redo ---
+document.getElementById('undo-button').addEventListener('click', () => panelManager.undo());
+document.getElementById('redo-button').addEventListener('click', () => panelManager.redo());
+
+document.getElementById('fit-all-button').addEventListener('click', () => panelManager.fitAll());
+
+// --- Layout Import / Export ---
+const layoutImportInput = document.getElementById('layout-import-input');
+
+document.getElementById('export-layout-button').addEventListener('click', async () => {
+    try {
+        await panelManager.layoutStore.exportToFile();
+    } catch (error) {
+        alert(`Could not export layout: ${error.message}`);
+    }
+});
+
+document.getElementById('import-layout-button').addEventListener('click', () => {
+    layoutImportInput.click();
+});
+
+layoutImportInput.addEventListener('change', async () => {
+    const file = layoutImportInput.files[0];
+    layoutImportInput.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    try {
+        await panelManager.layoutStore.importFromFile(file);
+    } catch (error) {
+        console.error('Layout import failed:', error);
+        alert(`Could not import layout: ${error.message}`);
+    }
+});
+
+// --- Dashboard Tabs ---
+const dashboardTabs = document.getElementById('dashboard-tabs-list');
+
+function renderDashboardTabs() {
+    dashboardTabs.replaceChildren(...workspace.getDashboards().map(dashboard => {
+        const tab = document.createElement('button');
+        tab.className = dashboard.isActive ? 'dashboard-tab active' : 'dashboard-tab';
+        tab.textContent = dashboard.name;
+        tab.title = 'Double-click to rename';
+        tab.addEventListener('click', () => workspace.switchTo(dashboard.id));
+        tab.addEventListener('dblclick', () => renameDashboard(dashboard.id));
+        return tab;
+    }));
+    spacingSlider.value = panelManager.getCurrentSpacingPx(); // Each dashboard has its own spacing
+}
+
+function renameDashboard(id) {
+    const current = workspace.getDashboards().find(d => d.id === id);
+    const name = prompt('Dashboard name:', current?.name);
+    if (name !== null) workspace.rename(id, name);
+}
+
+workspace.onChange(renderDashboardTabs);
+renderDashboardTabs();
+
+document.getElementById('new-dashboard-button').addEventListener('click', () => {
+    const name = prompt('Name of the new dashboard:', 'Dashboard');
+    if (name !== null) workspace.create(name.trim());
+});
+
+document.getElementById('rename-dashboard-button').addEventListener('click', () => {
+    renameDashboard(workspace.activeDashboardId);
+});
+
+document.getElementById('duplicate-dashboard-button').addEventListener('click', () => {
+    workspace.duplicate(workspace.activeDashboardId);
+});
+
+document.getElementById('delete-dashboard-button').addEventListener('click', () => {
+    const active = workspace.getActiveDashboard();
+    if (!active) return;
+    if (workspace.getDashboards().length <= 1) {
+        alert('The last dashboard cannot be deleted.');
+        return;
+    }
+    if (confirm(`Delete dashboard "${active.name}" and all its panels?`)) workspace.delete(active.id);
+});
+
+// --- Share Links ---
+// #share=... links open read-only next to the user's own dashboards until saved or closed
+const shareLinkButton = document.getElementById('share-link-button');
+const sharedPreviewBar = document.getElementById('shared-preview-bar');
+
+shareLinkButton.addEventListener('click', async () => {
+    const name = workspace.getPreview()?.name ?? workspace.getActiveDashboard()?.name;
+    try {
+        const { url, length, omittedImages } = await panelManager.layoutStore.createShareLink(name);
+        if (!url) {
+            alert(`This dashboard is too big for a share link (${length} characters, at most ${MAX_SHARE_URL_LENGTH}). ` +
+                'It will be downloaded as a file instead; send that file and open it with Import Layout.');
+            await panelManager.layoutStore.exportToFile();
+            return;
+        }
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (error) {
+            prompt('Copy this share link:', url); // Clipboard access denied
+        }
+        if (omittedImages > 0) {
+            alert(`Link copied. ${omittedImages} frame texture image(s) from your library are not included; export the layout to a file to share them.`);
+        } else {
+            shareLinkButton.textContent = 'Link Copied';
+            setTimeout(() => { shareLinkButton.textContent = 'Copy Share Link'; }, 2000);
+        }
+    } catch (error) {
+        alert(`Could not create a share link: ${error.message}`);
+    }
+});
+
+async function openShareLink(hash) {
+    try {
+        const { name, layout } = await readShareHash(hash);
+        workspace.openPreview(layout, name);
+        panelManager.setMode('view');
+        panelManager.fitAll();
+    } catch (error) {
+        console.error('Share link could not be opened:', error);
+        alert(`Could not open the shared dashboard: ${error.message}`);
+    }
+}
+
+// Leaves the #share= hash so reloading shows the user's own dashboards
+function leaveSharedPreview() {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    panelManager.setMode(requestedMode);
+}
+
+// The sender's code only runs (and fetches its data sources and images) once the user agrees
+document.getElementById('run-shared-button').addEventListener('click', () => {
+    if (!confirm('Run the code in this shared dashboard? Its panels may load data and images from the web.')) return;
+    panelManager.runHeldScripts();
+    document.getElementById('run-shared-button').style.display = 'none';
+});
+
+document.getElementById('save-shared-button').addEventListener('click', () => workspace.adoptPreview());
+document.getElementById('close-shared-button').addEventListener('click', () => workspace.closePreview());
+
+let wasPreviewing = false;
+workspace.onChange(() => {
+    const preview = workspace.getPreview();
+    sharedPreviewBar.style.display = preview ? 'block' : 'none';
+    document.getElementById('shared-preview-label').textContent = preview ? `Shared dashboard "${preview.name}" (read-only)` : '';
+    document.getElementById('run-shared-button').style.display = panelManager.scriptsEnabled ? 'none' : '';
+    modeButton.disabled = Boolean(preview); // Changes to a preview would not be saved; "Save as my own" first
+    // However the preview ended (saved, closed or another tab picked), drop the hash and view mode
+    if (wasPreviewing && !preview) leaveSharedPreview();
+    wasPreviewing = Boolean(preview);
+});
+
+window.addEventListener('hashchange', () => {
+    if (isShareHash(window.location.hash)) openShareLink(window.location.hash);
+});
+if (isShareHash(window.location.hash)) openShareLink(window.location.hash);
+
+// --- Data Sources ---
+const dataSourcesPopup = document.getElementById('data-sources-popup');
+const dataSourcesInput = document.getElementById('data-sources-input');
+const dataSourcesError = document.getElementById('data-sources-error');
+
+document.getElementById('data-sources-button').addEventListener('click', () => {
+    dataSourcesInput.value = JSON.stringify(panelManager.dataSources.getDefinitions(), null, 2);
+    dataSourcesError.textContent = '';
+    dataSourcesPopup.style.display = 'flex';
+});
+
+document.getElementById('close-data-sources-button').addEventListener('click', () => {
+    dataSourcesPopup.style.display = 'none';
+});
+
+document.getElementById('save-data-sources-button').addEventListener('click', () => {
+    try {
+        panelManager.setDataSources(JSON.parse(dataSourcesInput.value || '[]'));
+        dataSourcesPopup.style.display = 'none';
+    } catch (error) {
+        dataSourcesError.textContent = error.message; // Keep the popup open so the JSON can be fixed
+    }
+});
@@ -0,0 +1,328 @@
+// --- Panel Script Worker ---
+// Runs one panel's user code off the main thread. The code draws into an OffscreenCanvas
+// and the result is posted back as an ImageBitmap for the panel's CanvasTexture.
+// Spawned and supervised (timeouts, restarts) by PanelSandbox.
+//
+// Scripts are either plain (top-level code draws once) or define lifecycle hooks:
+//   init(ctx, canvas)               once after the script is loaded
+//   draw(ctx, canvas, time, dt)     every tick; return false if nothing changed
+//   resize(width, height)           after the canvas was resized (before the next draw)
+//   dispose()                       before the script is replaced or the panel removed
+// and input hooks (see INPUT_HOOKS), called with { type, x, y, ... } in CSS pixels (see below):
+//   onPointerDown/Move/Up/Leave(e), onWheel(e), onKey(e), onFocus(), onBlur()
+// After an input hook the panel is redrawn (draw hook if any, else whatever the hook drew)
+// unless it returns false. Bus/state handlers (panel.subscribe, panel.watchState) behave the same.
+//
+// Scripts draw in CSS pixels: canvas.width/height (and panel.width/height) are the screen's size at
+// 100% zoom, while the backing store is panel.pixelRatio times larger and ctx comes pre-scaled, so
+// text stays crisp on HiDPI screens and when zoomed in. After ctx.resetTransform() drawing is in
+// device pixels; ctx.setTransform(panel.pixelRatio, 0, 0, panel.pixelRatio, 0, 0) restores the default.
+//
+// panel.theme always holds the current tokens: on theme switches the worker gets the new ones and
+// redraws (draw hook) or re-runs the script (plain scripts) instead of being restarted.
+//
+// console.* and panel.log() calls are posted as { type: 'console', level, text, line } for the panel's
+// console (and still reach devtools); errors carry the script line they were thrown from where the
+// engine's stack trace has one.
+
+// Capture what the worker itself needs before user code can reach the globals
+const post = self.postMessage.bind(self);
+const listen = self.addEventListener.bind(self);
+const closeWorker = self.close.bind(self);
+const makeBitmap = self.createImageBitmap.bind(self);
+const OffscreenCanvasCtor = self.OffscreenCanvas;
+const workerConsole = self.console;
+
+// Globals removed from the worker scope so panel code only gets the panel API. Workers have no
+// DOM to begin with; this hides network, storage and messaging on the global object and on every
+// prototype it inherits from (WorkerGlobalScope.prototype, ...), so they can't be reached through
+// Object.getPrototypeOf(self) either. It is a best effort inside the engine: deployments should
+// also serve panelWorker.js with a `Content-Security-Policy: connect-src 'none'` header.
+const BLOCKED_GLOBALS = [
+    'postMessage', 'importScripts', 'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource',
+    'indexedDB', 'caches', 'Worker', 'SharedWorker', 'BroadcastChannel', 'close'
+];
+
+function blockGlobal(target, name) {
+    try {
+        Object.defineProperty(target, name, { value: undefined, writable: false, configurable: false });
+    } catch (error) {
+        // Some engines expose a few of these as non-configurable; shadowing below still applies
+    }
+}
+
+for (let scope = self; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+    const isGlobal = scope === self;
+    // Own properties only on the prototypes, so nothing new is added to them
+    BLOCKED_GLOBALS.forEach(name => {
+        if (isGlobal || Object.prototype.hasOwnProperty.call(scope, name)) blockGlobal(scope, name);
+    });
+}
+// Also shadowed as parameters so plain identifier lookups inside user code resolve to undefined
+const SHADOWED_NAMES = ['self', 'globalThis', ...BLOCKED_GLOBALS];
+
+// DOM event type -> input hook name
+const INPUT_HOOKS = {
+    pointerdown: 'onPointerDown',
+    pointermove: 'onPointerMove',
+    pointerup: 'onPointerUp',
+    pointerleave: 'onPointerLeave',
+    wheel: 'onWheel',
+    keydown: 'onKey',
+    keyup: 'onKey',
+    focus: 'onFocus',
+    blur: 'onBlur'
+};
+const HOOK_NAMES = ['init', 'draw', 'resize', 'dispose', ...new Set(Object.values(INPUT_HOOKS))];
+
+// Appended to every script so hooks declared as plain functions are picked up.
+// A script may also `return { draw, ... }` itself, which wins since it returns first.
+const HOOK_COLLECTOR = `\nreturn { ${HOOK_NAMES.map(name => `${name}: typeof ${name} === 'function' ? ${name} : undefined`).join(', ')} };`;
+
+const SCRIPT_PARAMS = ['ctx', 'canvas', 'panel', 'console', ...SHADOWED_NAMES];
+const SCRIPT_PREFIX = '"use strict";\n';
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+function compileScript(source) {
+    return new Function(...SCRIPT_PARAMS, `${SCRIPT_PREFIX}${source}${HOOK_COLLECTOR}`);
+}
+
+// Line of the innermost script frame in a stack trace, as the engine numbers it:
+// Chromium reports "<anonymous>:line:column", Firefox "> Function:line:column"
+function findStackLine(stack) {
+    const match = /(?:<anonymous>|Function):(\d+):\d+/.exec(stack || '');
+    return match ? Number(match[1]) : null;
+}
+
+// Engines count the lines of new Function() bodies from different starting points, so measure
+// where the first line of user code ends up once instead of guessing
+const SCRIPT_LINE_OFFSET = (() => {
+    try {
+        compileScript('throw new Error();')(); // On the script's first line
+    } catch (error) {
+        const line = findStackLine(error.stack);
+        return line === null ? null : line - 1;
+    }
+    return null;
+})();
+
+// 1-based line in the panel's code, or null if the stack doesn't reach into it
+function findScriptLine(error) {
+    if (SCRIPT_LINE_OFFSET === null) return null;
+    const line = findStackLine(error?.stack);
+    return line === null ? null : line - SCRIPT_LINE_OFFSET;
+}
+
+function formatLogValue(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    try {
+        return JSON.stringify(value) ?? String(value);
+    } catch (error) {
+        return String(value); // Cycles, BigInt
+    }
+}
+
+// What scripts get as `console`: posted to the panel's console, mirrored to devtools
+const scriptConsole = Object.freeze(Object.fromEntries(CONSOLE_LEVELS.map(level => [level, (...args) => {
+    workerConsole[level](`[Panel ${info?.id}]`, ...args);
+    post({ type: 'console', level, text: args.map(formatLogValue).join(' '), line: findScriptLine(new Error()) });
+}])));
+
+const canvas = new OffscreenCanvasCtor(1, 1);
+const ctx = canvas.getContext('2d');
+let cssWidth = 1;
+let cssHeight = 1;
+let pixelRatio = 1; // Backing store pixels per CSS pixel
+
+// What scripts get as `canvas`: the size in CSS pixels instead of the backing store's
+const canvasView = Object.freeze({
+    get width() { return cssWidth; },
+    get height() { return cssHeight; },
+    get pixelRatio() { return pixelRatio; },
+    getContext: () => ctx,
+    convertToBlob: (options) => canvas.convertToBlob(options)
+});
+
+let code = null; // Source of the loaded script, re-run on size changes when it has no draw hook
+let info = null;
+let theme = Object.freeze({}); // panel.theme, replaced in place on theme switches (see handlers.theme)
+let hooks = {};
+
+// Bus subscriptions of the loaded script (id -> handler), registered on the main thread by id
+const subscriptions = new Map();
+let nextSubscriptionId = 0;
+let state = {}; // Mirror of the shared store so getState() is synchronous
+
+// action 'subscribe' takes a topic pattern, 'useData' a data source name, 'loadImage' a URL,
+// 'headerAction' the button's { icon, tooltip }
+function subscribe(pattern, handler, action = 'subscribe') {
+    const subscriptionId = nextSubscriptionId++;
+    subscriptions.set(subscriptionId, handler);
+    post({ type: 'bus', action, subscriptionId, pattern });
+    return () => {
+        if (!subscriptions.delete(subscriptionId)) return;
+        post({ type: 'bus', action: 'unsubscribe', subscriptionId });
+    };
+}
+
+function createPanelApi() {
+    return Object.freeze({
+        id: info.id,
+        title: info.title,
+        get theme() { return theme; }, // Resolved panel theme tokens (screenBackground, titleFont, ...)
+        get width() { return cssWidth; },
+        get height() { return cssHeight; },
+        get pixelRatio() { return pixelRatio; },
+        log: scriptConsole.log,
+        publish: (topic, data) => post({ type: 'bus', action: 'publish', topic, data }),
+        subscribe,
+        getState: (key) => state[key],
+        setState: (key, value, options = {}) => {
+            state[key] = value;
+            post({ type: 'bus', action: 'setState', key, value, persist: Boolean(options.persist) });
+        },
+        watchState: (pattern, handler) => subscribe(`state.${pattern}`, (value, topic) => handler(value, topic.slice('state.'.length))),
+        // handler(data, { name, updatedAt }); called right away if the source already has data
+        useData: (name, handler) => subscribe(name, (payload) => handler(payload.data, payload), 'useData'),
+        // handler(bitmap, error); fetched on the main thread since scripts have no network access
+        loadImage: (url, handler) => subscribe(url, (result) => handler(result.bitmap || null, result.error || null), 'loadImage'),
+        // handler() on click of a button in the panel header; returns a function that removes it again.
+        // icon is one or two characters (an emoji or symbol), tooltip shows on hover.
+        addHeaderAction: ({ icon = '?', tooltip = '' } = {}, handler) => subscribe(
+            { icon: [...String(icon)].slice(0, 2).join(''), tooltip: String(tooltip) },
+            () => handler(),
+            'headerAction'
+        )
+    });
+}
+
+function setCanvasSize(width, height, ratio = 1) {
+    cssWidth = Math.max(1, width);
+    cssHeight = Math.max(1, height);
+    pixelRatio = ratio;
+    canvas.width = Math.max(1, Math.round(cssWidth * pixelRatio)); // Resizing also clears the canvas and resets the context state
+    canvas.height = Math.max(1, Math.round(cssHeight * pixelRatio));
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+}
+
+function disposeHooks() {
+    const dispose = hooks.dispose;
+    hooks = {};
+    if (dispose) dispose();
+}
+
+// reloaded: true when the main thread didn't ask for it (resize of a plain script), so it has to be
+// told to drop the old subscriptions; for runs PanelSandbox does that when it sends them
+function loadScript({ reloaded = false } = {}) {
+    disposeHooks();
+    subscriptions.clear();
+    if (reloaded) post({ type: 'reloaded' }); // Ahead of the subscriptions the new run makes
+    const script = compileScript(code);
+    const exported = script(ctx, canvasView, createPanelApi(), scriptConsole);
+    hooks = (exported && typeof exported === 'object') ? exported : {};
+    if (hooks.init) hooks.init(ctx, canvasView);
+}
+
+// Draws through the draw hook if there is one; returns whether the canvas changed
+function drawFrame(time, dt) {
+    if (!hooks.draw) return false;
+    return hooks.draw(ctx, canvasView, time, dt) !== false;
+}
+
+const handlers = {
+    run(message) {
+        code = message.code;
+        info = message.info;
+        theme = Object.freeze({ ...info.theme });
+        state = message.state || {};
+        setCanvasSize(message.width, message.height, message.pixelRatio);
+        loadScript();
+        drawFrame(message.time, 0);
+        return true; // Top-level code or the first draw always produced the initial frame
+    },
+    resize(message) {
+        const sizeChanged = message.width !== cssWidth || message.height !== cssHeight;
+        if (!hooks.draw && !sizeChanged) {
+            // Only the backing-store resolution changed (zoom step, devicePixelRatio): rescale what the
+            // plain script drew instead of re-running it, so it keeps its subscriptions and data sources
+            const previous = canvas.transferToImageBitmap();
+            setCanvasSize(message.width, message.height, message.pixelRatio);
+            ctx.save();
+            ctx.resetTransform();
+            ctx.drawImage(previous, 0, 0, canvas.width, canvas.height);
+            ctx.restore();
+            previous.close();
+            return true;
+        }
+        setCanvasSize(message.width, message.height, message.pixelRatio);
+        if (!hooks.draw) {
+            loadScript({ reloaded: true }); // Plain scripts only know how to draw from the top
+            return true;
+        }
+        if (hooks.resize) hooks.resize(cssWidth, cssHeight);
+        drawFrame(message.time, 0);
+        return true; // The resize cleared the canvas, so the result always has to be presented
+    },
+    // New theme tokens: scripts with a draw hook keep running and redraw with them
+    theme(message) {
+        theme = Object.freeze({ ...message.theme });
+        if (code === null) return false;
+        if (!hooks.draw) {
+            loadScript({ reloaded: true }); // Plain scripts read panel.theme while drawing from the top
+            return true;
+        }
+        drawFrame(message.time, 0);
+        return true;
+    },
+    tick(message) {
+        return drawFrame(message.time, message.dt);
+    },
+    input(message) {
+        const hook = hooks[INPUT_HOOKS[message.event.type]];
+        if (!hook || hook(message.event) === false) return false;
+        if (hooks.draw) drawFrame(message.time, 0);
+        return true;
+    },
+    bus(message) {
+        const handler = subscriptions.get(message.subscriptionId);
+        if (!handler || handler(message.data, message.topic, message.sourceId) === false) return false;
+        if (hooks.draw) drawFrame(message.time, 0);
+        return true;
+    },
+    dispose() {
+        disposeHooks();
+        return false;
+    }
+};
+
+// Store mirror updates: no user code runs, so no runId/budget and no reply
+function syncState(message) {
+    state[message.key] = message.value;
+}
+
+async function handleMessage(message) {
+    const handler = handlers[message.type];
+    if (!handler) return;
+    const { runId } = message;
+    try {
+        if (handler(message)) {
+            const bitmap = await makeBitmap(canvas);
+            post({ type: 'frame', runId, bitmap }, [bitmap]);
+        }
+    } catch (error) {
+        post({ type: 'error', runId, message: error?.message || String(error), line: findScriptLine(error) });
+    }
+    post({
+        type: 'done',
+        runId,
+        animated: Boolean(hooks.draw),
+        acceptsInput: Object.values(INPUT_HOOKS).some(name => hooks[name])
+    });
+    if (message.type === 'dispose') closeWorker();
+}
+
+listen('message', (event) => {
+    if (event.data.type === 'stateSync') syncState(event.data);
+    else handleMessage(event.data);
+});